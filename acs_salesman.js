@@ -0,0 +1,179 @@
+/***
+* Ant Colony System as Dorigo & Gambardella describe it in "Ant Colony System: A
+* Cooperative Learning Approach to the Traveling Salesman Problem" (1997, the
+* acs-bio97 paper AntSalesman cites). AntSalesman takes some liberties with the
+* paper; this one sticks to it, so the two can be compared:
+*
+*   - Every ant starts at a random city and builds a tour with the pseudo-random
+*     proportional rule: with probability q0 it takes the best arc by
+*     pheromone * (1 / length)^beta, otherwise it picks one at random in proportion
+*     to that same score. It only looks at its city's candidate list (the nearest
+*     'candidates' cities), unless they've all been visited already.
+*   - Local update: every arc an ant takes is pulled towards tau0,
+*     tau = (1 - rho) * tau + rho * tau0, so the following ants try something else.
+*   - Global update: after each iteration only the arcs of the best tour so far get
+*     pheromone, tau = (1 - alpha) * tau + alpha / best_length.
+*   - tau0 = 1 / (n * nearest neighbour tour length).
+*
+* The ants walk one after another rather than in lock step, which is the usual way
+* to implement it. The paper assumes a complete graph, so they walk the metric
+* closure (see MetricClosure), and the best tour is expanded back into real arcs.
+*
+* options:
+*   rng:        a SeededRandom for the ants' choices
+*   ant_count:  ants per iteration (default 10)
+*   iterations: number of iterations (default 500)
+*   beta:       weight of closeness against pheromone (default 2)
+*   q0:         how often an ant takes the best arc outright (default 0.9)
+*   alpha:      global pheromone decay (default 0.1)
+*   rho:        local pheromone decay (default 0.1)
+*   candidates: length of each city's candidate list (default 15)
+**/
+function AcsSalesman(options) {
+
+  options = _.defaults({}, options, {
+    ant_count: 10,
+    iterations: 500,
+    beta: 2,
+    q0: 0.9,
+    alpha: 0.1,
+    rho: 0.1,
+    candidates: 15
+  });
+
+  var EPSILON = 1e-9;
+
+  this.options = options;
+  this.rng = options.rng || new SeededRandom();
+
+
+  /**
+  * Reports the best tour so far and the pheromone on the real arcs after every
+  * iteration, and stops early once the context has expired.
+  **/
+  this.compute_plan = function(graph, start_point_id, context) {
+
+    this.closure = new MetricClosure(graph);
+    var m = this.closure.get_distance_matrix();
+    var matrix = m.matrix;
+    var n = m.ids.length;
+
+    if (n < 3) return this.closure.positions_to_plan(_.range(n), start_point_id);
+
+    this.init_colony(matrix);
+    var best_tour = null;
+    var best_length = Number.POSITIVE_INFINITY;
+
+    for (var iteration=0; iteration<options.iterations; iteration++) {
+      var iteration_length = Number.POSITIVE_INFINITY;
+
+      for (var ant=0; ant<options.ant_count; ant++) {
+        var tour = this.construct_tour(this.rng.random_int(n));
+        var length = MetricClosure.tour_length(tour, matrix);
+        if (length < iteration_length) iteration_length = length;
+        if (length < best_length - EPSILON) {
+          best_tour = tour;
+          best_length = length;
+        }
+      }
+
+      this.global_update(best_tour, best_length);
+
+      if (context) {
+        context.on_progress({ iteration: iteration + 1, iterations: options.iterations, cost: iteration_length,
+                              best_cost: best_length, best_plan: this.closure.positions_to_plan(best_tour, start_point_id),
+                              pheromone: this.closure.get_arc_values(this.pheromone) });
+        if (context.expired()) break;
+      }
+    }
+
+    return this.closure.positions_to_plan(best_tour, start_point_id);
+  }
+
+
+  /**
+  * Sets up the pheromone (everything starts at tau0), the heuristic scores
+  * (1 / length)^beta and the candidate lists
+  **/
+  this.init_colony = function(matrix) {
+    var n = matrix.length;
+    var tau0 = this.tau0 = 1 / (n * MetricClosure.tour_length(MetricClosure.nearest_neighbour_tour(matrix, 0), matrix));
+    this.matrix = matrix;
+    this.candidate_lists = MetricClosure.neighbour_lists(matrix, Math.min(options.candidates, n - 1));
+    this.heuristic = MetricClosure.closeness(matrix, options.beta);
+    this.pheromone = _(_.range(n)).map(function() {
+      var row = new Float64Array(n);
+      for (var j=0; j<n; j++) row[j] = tau0;
+      return row;
+    });
+  }
+
+
+  /**
+  * One ant's tour from 'start', applying the local update as it goes (including on
+  * the arc that closes the tour)
+  **/
+  this.construct_tour = function(start) {
+    var n = this.matrix.length;
+    var visited = new Uint8Array(n);
+    var tour = [start];
+    visited[start] = 1;
+
+    for (var step=1; step<n; step++) {
+      var current = tour[tour.length-1];
+      var next = this.choose_next(current, visited);
+      this.local_update(current, next);
+      tour.push(next);
+      visited[next] = 1;
+    }
+    this.local_update(tour[n-1], start);
+    return tour;
+  }
+
+
+  /**
+  * The pseudo-random proportional rule over the candidate list, or over every
+  * unvisited city once the candidate list is used up: with probability q0 the best
+  * arc (exploitation), otherwise a roulette wheel on the scores (biased exploration)
+  **/
+  this.choose_next = function(current, visited) {
+    var pheromone = this.pheromone[current], heuristic = this.heuristic[current];
+    return MetricClosure.choose_next(this.candidate_lists[current], visited, function(j) {
+      return pheromone[j] * heuristic[j];
+    }, this.rng, options.q0);
+  }
+
+
+  this.local_update = function(i, j) {
+    var tau = (1 - options.rho) * this.pheromone[i][j] + options.rho * this.tau0;
+    this.pheromone[i][j] = this.pheromone[j][i] = tau;
+  }
+
+
+  this.global_update = function(tour, length) {
+    var n = tour.length;
+    for (var k=0; k<n; k++) {
+      var i = tour[k], j = tour[(k + 1) % n];
+      var tau = (1 - options.alpha) * this.pheromone[i][j] + options.alpha / length;
+      this.pheromone[i][j] = this.pheromone[j][i] = tau;
+    }
+  }
+
+}
+
+
+SalesmanRegistry.salesmen.register({
+  name: "acs",
+  label: "ACS",
+  description: "Ant Colony System, as in the paper",
+  params: {
+    ant_count:  { type: "integer", default: 10, min: 1, description: "ants per iteration" },
+    iterations: { type: "integer", default: 500, min: 1, description: "number of iterations" },
+    beta:       { type: "number", default: 2, description: "closeness against pheromone" },
+    q0:         { type: "number", default: 0.9, min: 0, max: 1, description: "how often to take the best arc" },
+    alpha:      { type: "number", default: 0.1, min: 0, max: 1, description: "global pheromone decay" },
+    rho:        { type: "number", default: 0.1, min: 0, max: 1, description: "local pheromone decay" },
+    candidates: { type: "integer", default: 15, min: 1, description: "candidate list length" }
+  },
+  create: function(rng, params) { return new AcsSalesman(_.extend({ rng: rng }, params)); }
+});
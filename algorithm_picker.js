@@ -0,0 +1,114 @@
+/***
+* A control panel listing every registered salesman (see SalesmanRegistry) with a
+* checkbox, and an input for each of its params, so the page can run whichever ones
+* you pick with whatever settings:
+*
+*   var picker = new AlgorithmPicker("#racers", SalesmanRegistry.salesmen, { checked: ["quick", "lk"] });
+*   race.run(graph, picker.selected());
+*
+* Params left blank are up to the salesman; "json" params are typed in as JSON.
+*
+* options:
+*   checked: names of the salesmen to tick to begin with
+**/
+function AlgorithmPicker(container, registry, options) {
+
+  options = _.defaults({}, options, {
+    checked: []
+  });
+
+  this.registry = registry;
+  this.rows = [];
+
+
+  this.initialize = function() {
+    var self = this;
+    var list = $( "<ul class='algorithm_picker'>" ).appendTo(container);
+
+    _(registry.list()).each(function(entry) {
+      var item = $( "<li>" ).appendTo(list);
+      var row = { entry: entry, inputs: {} };
+      row.checkbox = $( "<input type='checkbox'>" ).prop( "checked", _(options.checked).include(entry.name) );
+      $( "<label>" ).attr( "title", entry.description ).append(row.checkbox, " " + entry.label).appendTo(item);
+
+      if (_(entry.params).size() > 0) {
+        var form = $( "<div class='algorithm_params'>" ).hide();
+        $( "<a href='#' class='algorithm_params_toggle'>params</a>" ).appendTo(item).click(function(e) {
+          e.preventDefault();
+          form.toggle();
+        });
+        _(entry.params).each(function(schema, key) {
+          row.inputs[key] = self.create_input(schema);
+          $( "<label>" ).attr( "title", schema.description ).append(key + " ", row.inputs[key]).appendTo(form);
+        });
+        form.appendTo(item);
+      }
+      self.rows.push(row);
+    });
+  }
+
+
+  this.create_input = function(schema) {
+    if (schema.type == "boolean") {
+      return $( "<input type='checkbox'>" ).prop( "checked", schema.default == true );
+    }
+    var input = $( "<input type='text'>" );
+    if (schema.type == "json") return input.val(schema.default == null ? "" : JSON.stringify(schema.default));
+    return input.val(schema.default == null ? "" : schema.default);
+  }
+
+
+  /**
+  * The params typed in for one salesman
+  **/
+  this.read_params = function(row) {
+    var params = {};
+    _(row.entry.params).each(function(schema, key) {
+      var input = row.inputs[key];
+      if (schema.type == "boolean") {
+        params[key] = input.prop( "checked" );
+        return;
+      }
+      var text = $.trim(input.val());
+      if (text == "") return;
+      if (schema.type == "json") {
+        try {
+          params[key] = JSON.parse(text);
+        } catch (e) {
+          throw new SolverError(row.entry.name + "'s " + key + " isn't valid JSON! " + text);
+        }
+      } else {
+        params[key] = Number(text);
+        if (isNaN(params[key])) throw new SolverError(row.entry.name + "'s " + key + " isn't a number! " + text);
+      }
+    });
+    return params;
+  }
+
+
+  /**
+  * The ticked salesmen, as [{ name, algorithm, params, create(rng) }] (like
+  * Benchmark and Race take). Throws a SolverError if any of their params don't make
+  * sense.
+  **/
+  this.selected = function() {
+    var self = this;
+    return _(this.rows).chain()
+      .filter(function(row) { return row.checkbox.prop( "checked" ); })
+      .map(function(row) {
+        var params = self.read_params(row);
+        registry.create(row.entry.name, new SeededRandom(1), params);   // check the params now
+        return {
+          name: row.entry.label,
+          algorithm: row.entry.name,
+          params: params,
+          create: function(rng) { return registry.create(row.entry.name, rng, params); }
+        };
+      })
+      .value();
+  }
+
+
+  // Initialize
+  this.initialize();
+}
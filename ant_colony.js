@@ -0,0 +1,236 @@
+/***
+* A pluggable ant colony. The colony owns what every Ant System variant shares - the
+* pheromone matrix, the candidate lists and the ants' walk - and a strategy decides
+* how the pheromone is laid down after each iteration (see ant_colony_strategies.js):
+*
+*   var colony = new AntColony({ strategy: "mmas", rng: rng });
+*   var elitist = new AntColony({ strategy: "elitist", strategy_options: { elitist_weight: 10 } });
+*
+* Each iteration, every ant starts at a random city and builds a tour with the random
+* proportional rule: it moves to an unvisited city j with probability proportional to
+* tau(i,j)^alpha * (1 / length(i,j))^beta, looking only at i's candidate list (its
+* nearest 'candidates' cities) until those are all visited. The strategy then gets
+* the iteration's tours, shortest first.
+*
+* The pheromone matrix spans the metric closure (see MetricClosure), and
+* get_arc_values reads it back onto the real arcs for the progress reports. Given
+* local_search, every ant's tour is improved with LocalSearch before the strategy
+* sees it (the hybrid "ACO + local search" of the literature).
+*
+* options:
+*   rng:              a SeededRandom for the ants' choices
+*   strategy:         "mmas", "elitist", "rank" (see AntColony.STRATEGIES) or a strategy
+*                     object (default "mmas")
+*   strategy_options: options for the strategy, if it's given by name
+*   ant_count:        ants per iteration (default 25)
+*   iterations:       number of iterations (default 300)
+*   alpha:            weight of the pheromone (default 1)
+*   beta:             weight of closeness (default 3)
+*   candidates:       length of each city's candidate list (default 15)
+*   local_search:     LocalSearch options to polish every tour with, e.g.
+*                     { moves: ["2opt"], max_passes: 5 } (default: none)
+**/
+function AntColony(options) {
+
+  options = _.defaults({}, options, {
+    strategy: "mmas",
+    strategy_options: {},
+    ant_count: 25,
+    iterations: 300,
+    alpha: 1,
+    beta: 3,
+    candidates: 15,
+    local_search: null
+  });
+
+  var EPSILON = 1e-9;
+
+  this.options = options;
+  this.rng = options.rng || new SeededRandom();
+  this.local_search = options.local_search ? new LocalSearch(options.local_search) : null;
+
+  if (typeof options.strategy == "string") {
+    var Strategy = AntColony.STRATEGIES[options.strategy];
+    if (Strategy == null) throw new SolverError("Unknown ant colony strategy! " + options.strategy);
+    this.strategy = new Strategy(options.strategy_options);
+  } else {
+    this.strategy = options.strategy;
+  }
+
+
+  /**
+  * Once the strategy has laid its pheromone each iteration, the best tour so far and
+  * the pheromone map go to the context, and we stop if it has expired.
+  **/
+  this.compute_plan = function(graph, start_point_id, context) {
+
+    this.closure = new MetricClosure(graph);
+    var m = this.closure.get_distance_matrix();
+    var n = m.ids.length;
+
+    if (n < 3) return this.closure.positions_to_plan(_.range(n), start_point_id);
+
+    this.init_colony(m.matrix);
+    this.strategy.init(this);
+    var best = null;
+
+    for (var iteration=0; iteration<options.iterations; iteration++) {
+      this.update_choice_info();
+
+      var ants = [];
+      for (var ant=0; ant<options.ant_count; ant++) {
+        var tour = this.construct_tour(this.rng.random_int(n));
+        if (this.local_search) tour = this.local_search.optimize_tour(tour, m.matrix);
+        ants.push({ tour: tour, length: MetricClosure.tour_length(tour, m.matrix) });
+      }
+      ants = _(ants).sortBy(function(a) { return a.length; });
+      if (best == null || ants[0].length < best.length - EPSILON) best = ants[0];
+
+      this.strategy.update(this, ants, best, iteration);
+
+      if (context) {
+        context.on_progress({ iteration: iteration + 1, iterations: options.iterations, cost: ants[0].length,
+                              best_cost: best.length, best_plan: this.closure.positions_to_plan(best.tour, start_point_id),
+                              pheromone: this.closure.get_arc_values(this.pheromone) });
+        if (context.expired()) break;
+      }
+    }
+
+    return this.closure.positions_to_plan(best.tour, start_point_id);
+  }
+
+
+  /**
+  * Sets up the heuristic scores (1 / length)^beta, the candidate lists and an empty
+  * pheromone matrix, and measures a nearest neighbour tour for the strategies to
+  * size their pheromone by
+  **/
+  this.init_colony = function(matrix) {
+    var n = matrix.length;
+    this.matrix = matrix;
+    this.nearest_neighbour_length = MetricClosure.tour_length(MetricClosure.nearest_neighbour_tour(matrix, 0), matrix);
+    this.candidate_lists = MetricClosure.neighbour_lists(matrix, Math.min(options.candidates, n - 1));
+    this.heuristic = MetricClosure.closeness(matrix, options.beta);
+    this.pheromone = _(_.range(n)).map(function() { return new Float64Array(n); });
+    this.choice_info = _(_.range(n)).map(function() { return new Float64Array(n); });
+  }
+
+
+  // tau^alpha * heuristic for every arc, so the ants don't recompute it at every step
+  this.update_choice_info = function() {
+    var n = this.matrix.length;
+    for (var i=0; i<n; i++) {
+      for (var j=0; j<n; j++) {
+        var tau = options.alpha == 1 ? this.pheromone[i][j] : Math.pow(this.pheromone[i][j], options.alpha);
+        this.choice_info[i][j] = tau * this.heuristic[i][j];
+      }
+    }
+  }
+
+
+  this.construct_tour = function(start) {
+    var n = this.matrix.length;
+    var visited = new Uint8Array(n);
+    var tour = [start];
+    visited[start] = 1;
+
+    for (var step=1; step<n; step++) {
+      var next = this.choose_next(tour[tour.length-1], visited);
+      tour.push(next);
+      visited[next] = 1;
+    }
+    return tour;
+  }
+
+
+  /**
+  * The random proportional rule over the candidate list, or over every unvisited
+  * city once the candidate list is used up
+  **/
+  this.choose_next = function(current, visited) {
+    var scores = this.choice_info[current];
+    return MetricClosure.choose_next(this.candidate_lists[current], visited, function(j) { return scores[j]; }, this.rng);
+  }
+
+
+  /**
+  * Sets every arc's pheromone to tau
+  **/
+  this.set_pheromone = function(tau) {
+    _(this.pheromone).each(function(row) {
+      for (var j=0; j<row.length; j++) row[j] = tau;
+    });
+  }
+
+
+  /**
+  * Takes a fraction rho of the pheromone off every arc
+  **/
+  this.evaporate = function(rho) {
+    _(this.pheromone).each(function(row) {
+      for (var j=0; j<row.length; j++) row[j] *= 1 - rho;
+    });
+  }
+
+
+  /**
+  * Lays weight / length of pheromone on every arc of the tour
+  **/
+  this.deposit = function(tour, length, weight) {
+    var n = tour.length;
+    var amount = (weight == null ? 1 : weight) / length;
+    for (var k=0; k<n; k++) {
+      var i = tour[k], j = tour[(k + 1) % n];
+      this.pheromone[i][j] += amount;
+      this.pheromone[j][i] = this.pheromone[i][j];
+    }
+  }
+
+}
+
+
+// The strategies a colony can be given by name (see ant_colony_strategies.js)
+AntColony.STRATEGIES = {
+  mmas: MaxMinStrategy,
+  elitist: ElitistStrategy,
+  rank: RankBasedStrategy
+};
+
+
+// What the colony takes, for SalesmanRegistry
+AntColony.PARAMS = {
+  ant_count:        { type: "integer", default: 25, min: 1, description: "ants per iteration" },
+  iterations:       { type: "integer", default: 300, min: 1, description: "number of iterations" },
+  alpha:            { type: "number", default: 1, description: "weight of the pheromone" },
+  beta:             { type: "number", default: 3, description: "weight of closeness" },
+  candidates:       { type: "integer", default: 15, min: 1, description: "candidate list length" },
+  local_search:     { type: "json", default: null, description: "LocalSearch options for every tour" },
+  strategy_options: { type: "json", default: {}, description: "options for the strategy" }
+};
+
+
+SalesmanRegistry.salesmen.register({
+  name: "mmas",
+  label: "MAX-MIN",
+  description: "MAX-MIN Ant System",
+  params: AntColony.PARAMS,
+  create: function(rng, params) { return new AntColony(_.extend({ rng: rng, strategy: "mmas" }, params)); }
+});
+
+
+SalesmanRegistry.salesmen.register({
+  name: "elitist",
+  label: "Elitist",
+  description: "Elitist Ant System",
+  params: AntColony.PARAMS,
+  create: function(rng, params) { return new AntColony(_.extend({ rng: rng, strategy: "elitist" }, params)); }
+});
+
+
+SalesmanRegistry.salesmen.register({
+  name: "rank",
+  label: "Rank-based",
+  description: "Rank-based Ant System",
+  params: AntColony.PARAMS,
+  create: function(rng, params) { return new AntColony(_.extend({ rng: rng, strategy: "rank" }, params)); }
+});
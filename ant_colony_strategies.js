@@ -0,0 +1,162 @@
+/***
+* How an AntColony lays down its pheromone. A strategy is any object with:
+*
+*   init(colony)                          set the starting pheromone
+*   update(colony, ants, best, iteration) lay pheromone after an iteration. 'ants' is
+*                                         the iteration's [{tour, length}], shortest
+*                                         first, and 'best' the best one so far.
+*
+* The colony gives them set_pheromone, evaporate and deposit to work with, and
+* nearest_neighbour_length (C_nn below) to size the pheromone by. The constants are
+* the ones Dorigo & Stützle recommend in "Ant Colony Optimization" (2004).
+**/
+
+
+/***
+* MAX-MIN Ant System (Stützle & Hoos). Only one ant deposits each iteration - the
+* iteration's best, and every 'best_so_far_every' iterations the best so far - and
+* the pheromone is kept between tau_min and tau_max so no arc is ever ruled out or
+* locked in. If the best tour hasn't improved for 'reinit_after' iterations the
+* colony has stagnated, and we reset everything to tau_max.
+*
+* options:
+*   rho:               evaporation rate (default 0.02)
+*   p_best:            chance of rebuilding the best tour once converged, which
+*                      sets tau_min (default 0.05)
+*   best_so_far_every: how often the best so far deposits (default 10)
+*   reinit_after:      iterations without improvement before we reset (default 100)
+**/
+function MaxMinStrategy(options) {
+
+  options = _.defaults({}, options, {
+    rho: 0.02,
+    p_best: 0.05,
+    best_so_far_every: 10,
+    reinit_after: 100
+  });
+
+  this.options = options;
+
+
+  this.init = function(colony) {
+    this.set_limits(colony, colony.nearest_neighbour_length);
+    colony.set_pheromone(this.tau_max);
+    this.best_length = Number.POSITIVE_INFINITY;
+    this.last_improvement = 0;
+    this.reinitializations = 0;
+  }
+
+
+  this.update = function(colony, ants, best, iteration) {
+    if (best.length < this.best_length) {
+      this.best_length = best.length;
+      this.last_improvement = iteration;
+      this.set_limits(colony, best.length);
+    }
+
+    if (iteration - this.last_improvement >= options.reinit_after) {
+      colony.set_pheromone(this.tau_max);
+      this.last_improvement = iteration;
+      this.reinitializations++;
+      return;
+    }
+
+    var depositor = (iteration + 1) % options.best_so_far_every == 0 ? best : ants[0];
+    colony.evaporate(options.rho);
+    colony.deposit(depositor.tour, depositor.length);
+    this.clamp(colony);
+  }
+
+
+  // tau_max = 1 / (rho * L_best), and tau_min follows from p_best
+  this.set_limits = function(colony, best_length) {
+    var n = colony.matrix.length;
+    var p_root = Math.pow(options.p_best, 1 / n);
+    this.tau_max = 1 / (options.rho * best_length);
+    this.tau_min = Math.min(this.tau_max, this.tau_max * (1 - p_root) / ((n / 2 - 1) * p_root));
+  }
+
+
+  this.clamp = function(colony) {
+    var tau_min = this.tau_min, tau_max = this.tau_max;
+    _(colony.pheromone).each(function(row) {
+      for (var j=0; j<row.length; j++) row[j] = Math.max(tau_min, Math.min(tau_max, row[j]));
+    });
+  }
+
+}
+
+
+/***
+* Elitist Ant System (Dorigo). Every ant deposits 1 / length, and the best tour so
+* far gets an extra elitist_weight / length on top.
+*
+* options:
+*   rho:            evaporation rate (default 0.5)
+*   elitist_weight: how much the best so far counts (default: the number of cities)
+**/
+function ElitistStrategy(options) {
+
+  options = _.defaults({}, options, {
+    rho: 0.5,
+    elitist_weight: null
+  });
+
+  this.options = options;
+
+
+  this.init = function(colony) {
+    var ant_count = colony.options.ant_count;
+    colony.set_pheromone((weight(colony) + ant_count) / (options.rho * colony.nearest_neighbour_length));
+  }
+
+
+  this.update = function(colony, ants, best, iteration) {
+    colony.evaporate(options.rho);
+    _(ants).each(function(ant) { colony.deposit(ant.tour, ant.length); });
+    colony.deposit(best.tour, best.length, weight(colony));
+  }
+
+
+  var weight = function(colony) {
+    return options.elitist_weight == null ? colony.matrix.length : options.elitist_weight;
+  }
+
+}
+
+
+/***
+* Rank-based Ant System (Bullnheimer, Hartl & Strauss). Only the iteration's top
+* 'ranks' - 1 ants deposit, the r-th best weighted by ranks - r, and the best tour so
+* far deposits with weight 'ranks'.
+*
+* options:
+*   rho:   evaporation rate (default 0.1)
+*   ranks: w in the paper (default 6)
+**/
+function RankBasedStrategy(options) {
+
+  options = _.defaults({}, options, {
+    rho: 0.1,
+    ranks: 6
+  });
+
+  this.options = options;
+
+
+  this.init = function(colony) {
+    var w = options.ranks;
+    colony.set_pheromone(0.5 * w * (w - 1) / (options.rho * colony.nearest_neighbour_length));
+  }
+
+
+  this.update = function(colony, ants, best, iteration) {
+    var w = options.ranks;
+    colony.evaporate(options.rho);
+    _(ants.slice(0, w - 1)).each(function(ant, r) {
+      colony.deposit(ant.tour, ant.length, w - (r + 1));
+    });
+    colony.deposit(best.tour, best.length, w);
+  }
+
+}
@@ -3,46 +3,37 @@
 *  in this paper http://www.idsia.ch/~luca/acs-bio97.pdf from 1996 by Marco Dorigo
 *  and Luca Gambardella. It does not run within the specified time limit but has the 
 *  same order of growth as the greedy algorithm.
+*
+*  All the coin flips come from options.rng (a SeededRandom) so a run can be replayed.
+*  The other options are the colony's parameters, see AntSalesman.DEFAULTS.
+*
+*  Set options.local_search to LocalSearch options, e.g. { moves: ["2opt", "3opt"],
+*  max_passes: 3 }, and every ant's walk is improved before we pick the round's
+*  champion, which is where the ACO literature gets most of its results.
 *****************************************/
-function AntSalesman() {
-  
-  this.get_point = function(point_id) {
-    return this.points_by_id[point_id]
-  }
-  
-  this.get_surrounding_points = function(point_id) {
-    return _.clone(this.connected_points_by_id[point_id])
-  }
-  
-  
-  this.get_dist = function(point1, point2) {
-    return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
-  }
+function AntSalesman(options) {
   
+  this.options = _.defaults({}, options, AntSalesman.DEFAULTS);
+  this.rng = this.options.rng || new SeededRandom();
+  this.local_search = this.options.local_search ? new LocalSearch(this.options.local_search) : null;
   
   this.init_graph = function(graph) {
     
-    // The graph, as given, isn't very friendly for processing. Let's extract
-    // points and arcs so we can do super-fast look ups
+    // Index the graph, and start every arc off with a base pheromone level of 1
     
-    this.points_by_id = {};
-    this.connected_points_by_id = {};
-    this.pheromone = {};
+    var self = this;
     this.graph = graph;
-    self = this;
-    self.node_count = 0;
+    this.index = new GraphIndex(graph);
+    this.index.precompute_all_pairs();
+    this.node_count = this.index.point_count;
+    if (this.local_search) this.closure = new MetricClosure(graph, this.index);
+    this.pheromone = {};
  
     _(graph.points).each(function(p) {
-      self.points_by_id[p.id] = p;
-      self.connected_points_by_id[p.id] = []
-      self.node_count++;
+      self.pheromone[p.id] = {};
     });
     
     _(graph.arcs).each(function(a) {
-      self.connected_points_by_id[a[0]].push( self.get_point(a[1]) );
-      self.connected_points_by_id[a[1]].push( self.get_point(a[0]) );
-      if(self.pheromone[a[0]] == null){ self.pheromone[a[0]] = {} };
-      if(self.pheromone[a[1]] == null){ self.pheromone[a[1]] = {} };
       self.pheromone[a[0]][a[1]] = 1;
       self.pheromone[a[1]][a[0]] = 1;
     });
@@ -50,7 +41,11 @@ function AntSalesman() {
   }
   
   
-  this.compute_plan = function(graph, start_point_id) {
+  /**
+  * Reports the champion walk and the pheromone map after every round, and stops
+  * early once the context has expired.
+  **/
+  this.compute_plan = function(graph, start_point_id, context) {
     
     // My implementation
 
@@ -58,33 +53,29 @@ function AntSalesman() {
     this.visited[start_point_id] = true;
     this.init_graph(graph);
     
-    // constant parameters
-    var ANT_COUNT = 15;         // number of ants
-    var WALK_COUNT = 5;        // number of trials
-    var EVAP_RATE = 0.85;       // each time an ant takes a path, lift a bit of pheromone
-                                // so that path doesn't dominate entirely
-    var DETERMINISM = 0.2;      // rate to choose the best path instead of a random path 
-    var BETA = 3;               // weighting exponent between importance of closeness v. pheromone
-    var PHEROMONE_SCALAR = 4;   // proportionality constant between inverse of path length and 
-                                // base pheromone level of 1
+    // parameters, see AntSalesman.DEFAULTS
+    var ANT_COUNT = this.options.ant_count;
+    var WALK_COUNT = this.options.walk_count;
+    var EVAP_RATE = this.options.evap_rate;
+    var DETERMINISM = this.options.determinism;
+    var BETA = this.options.beta;
+    var PHEROMONE_SCALAR = this.options.pheromone_scalar;
 
     var self = this;
-    var start_point = this.get_point(start_point_id);
     // var complete_path = [start_point];
     var champ_path_length = Number.POSITIVE_INFINITY;
     var closest_point, champ_path;
 
     function pick_starting_point() {
         // unless its the last round, start at a random point
-        var random_id = "pt_"+Math.floor(Math.random() * self.node_count);
-        var current_point = self.points_by_id[random_id];
-        return current_point
+        // (pick from the points themselves, ids needn't be pt_0 to pt_(n-1))
+        return self.graph.points[Math.floor(self.rng.random() * self.node_count)];
     }
 
     function get_available_surrounding(current_point) {
         // compile an array of all unvisited points surrounding current_point
         available = [];
-        _(self.get_surrounding_points(current_point.id)).each(function(p) {
+        _(self.index.get_surrounding_points(current_point.id)).each(function(p) {
           if (!self.visited[p.id]){
             available.push(p);
           } 
@@ -103,11 +94,11 @@ function AntSalesman() {
       var champ_dist;
 
       _(available).each(function(p){
-        var strength = Math.pow(self.get_dist(current_point, p), -1 * BETA) * self.pheromone[current_point.id][p.id];
+        var strength = Math.pow(self.index.get_dist(current_point, p), -1 * BETA) * self.pheromone[current_point.id][p.id];
         if (strength > champ_strength || champ_point == null) {
           champ_strength = strength;
           champ_point = p;
-          champ_dist = self.get_dist(current_point, champ_point);
+          champ_dist = self.index.get_dist(current_point, champ_point);
         }
       });
 
@@ -124,12 +115,12 @@ function AntSalesman() {
       var sum = 0;
       var probs = {};
       var pids = {};
-      var random = Math.random();
+      var random = self.rng.random();
       var distribution_counter = 0;
 
       // calculate strengths
       _(available).each(function(p, i){
-        var strength = Math.pow(self.get_dist(current_point, p), -1 * BETA) * self.pheromone[current_point.id][p.id];
+        var strength = Math.pow(self.index.get_dist(current_point, p), -1 * BETA) * self.pheromone[current_point.id][p.id];
         sum += strength;
         probs[i] = strength;
         pids[i] = p.id
@@ -144,8 +135,8 @@ function AntSalesman() {
       _(probs).each(function(pr, i){
         distribution_counter += pr;
         if (random < distribution_counter) {
-          champ_point = self.get_point(pids[i]);
-          champ_dist = self.get_dist(current_point, champ_point);
+          champ_point = self.index.get_point(pids[i]);
+          champ_dist = self.index.get_dist(current_point, champ_point);
         }
       });
 
@@ -160,6 +151,7 @@ function AntSalesman() {
       var unvisited_count = self.node_count;
       var current_point = starting_point;
       var complete_path = [];
+      var squashed = false;
       
       // for each ant, reset variables 
       var path_length = 0;
@@ -175,45 +167,50 @@ function AntSalesman() {
         var champ_strength = -1;
         var path, champ_dist;
 
-        // if all surrounding points have been visited then use the greedy algo
+        // if all surrounding points have been visited then use the greedy algo. The jumps
+        // count towards the length like any other step, or trapped ants would look short
         if(trapped){
           closest_point = self.get_closest_unvisited_point(current_point);
           // if ALL points have been visited, wrap it up with this ant
           if(closest_point == null) {
-            path = self.get_path_to_point(current_point, start_point);
+            path = self.index.get_path_to_point(current_point, starting_point);
             complete_path = complete_path.concat(path);
-            current_point = start_point;
+            path_length += self.index.get_shortest_distance(current_point, starting_point);
+            current_point = starting_point;
             break;
           } else { // otherwise just use greedy
-            path = self.get_path_to_point(current_point, closest_point);
+            path = self.index.get_path_to_point(current_point, closest_point);
             _(path).each(function(pt) {
               self.visited[pt.id] = true
             });
+            path_length += self.index.get_shortest_distance(current_point, closest_point);
             current_point = closest_point;
             complete_path = complete_path.concat(path);
             unvisited_count--;
+            if (!self.local_search && path_length > champ_path_length) { squashed = true; break; }
             continue;
           }
         }
 
         // randomly choose whether to take the best path or a weighted random path
-        if(Math.random() < DETERMINISM){
+        if(self.rng.random() < DETERMINISM){
           champ = pick_next_point_deterministically(current_point, available);
         } else {
           champ = pick_next_point_probabilistically(current_point, available);
         }
 
         // add new point to path and do bookkeeping
-        path = self.get_path_to_point(current_point, champ.point);
+        path = self.index.get_path_to_point(current_point, champ.point);
         _(path).each(function(p) {
           self.visited[p.id] = true
         });
         complete_path = complete_path.concat(path);
 
         // we only learn from the best ant each round, so if it's already worse than
-        // the best, squash this ant
+        // the best, squash this ant. Not when we polish walks though: the best has been
+        // polished, and an unpolished walk can't be held against it
         path_length += champ.dist;
-        if (path_length > champ_path_length) { break; } 
+        if (!self.local_search && path_length > champ_path_length) { squashed = true; break; } 
 
         // take a little pheromone off this path so that other paths have a chance to be followed
         self.pheromone[current_point.id][champ.point.id] *= EVAP_RATE;
@@ -222,13 +219,25 @@ function AntSalesman() {
         current_point = champ.point;
         unvisited_count--;
       }
-      return {complete_path:complete_path, dist:path_length};
+      return {complete_path:complete_path, dist:path_length, squashed:squashed};
+    }
+
+
+    // run local search on a finished walk, returns it in the same form
+    function improve_walk(walked) {
+      var plan = self.local_search.optimize(self.graph, self.index.path_to_plan(walked.complete_path), self.closure);
+      var complete_path = _(plan).map(function(id) { return self.index.get_point(id); });
+      var dist = 0;
+      for (var i=1; i<complete_path.length; i++) {
+        dist += self.index.get_dist(complete_path[i-1], complete_path[i]);
+      }
+      return {complete_path:complete_path, dist:dist, squashed:false};
     }
 
 
     function walk_all_ants () {
       var champ_ant_path_length = Number.POSITIVE_INFINITY;
-      var current_point, champ_path;      
+      var champ_ant_path = null;
 
       for(var ant = 0; ant < ANT_COUNT; ant++){
 
@@ -238,40 +247,58 @@ function AntSalesman() {
 
         // Go back to the start
         if(last_point != first_point){
-          path = self.get_path_to_point(last_point, first_point);
+          path = self.index.get_path_to_point(last_point, first_point);
           walked.complete_path = walked.complete_path.concat(path);
-          walked.dist += self.get_dist(last_point, first_point);
+          walked.dist += self.index.get_shortest_distance(last_point, first_point);
+        }
+
+        // polish it, if we've been asked to
+        if (self.local_search) {
+          walked = improve_walk(walked);
         }
 
-        // keep track of the best path found by an ant so far
-        if(walked.dist < champ_ant_path_length) {
+        // keep track of the best path found by an ant so far. A squashed ant only got
+        // part of the way, so its length isn't a tour's
+        if(!walked.squashed && walked.dist < champ_ant_path_length) {
           champ_ant_path_length = walked.dist;
-          champ_path = walked.complete_path;
+          champ_ant_path = walked.complete_path;
         }
       }
 
+      // if every ant was squashed none of them beat the best walk so far, so that's
+      // the round's best
+      if (champ_ant_path == null) {
+        champ_ant_path = champ_path;
+        champ_ant_path_length = champ_path_length;
+      }
+
       // lay down pheromone on shortest path
       var last_point = null;
       var pheromone_strength = Math.pow(champ_ant_path_length, -1) * PHEROMONE_SCALAR;
-      _(walked.complete_path).each(function(p) {
+      _(champ_ant_path).each(function(p) {
         if(last_point != null){
           self.pheromone[last_point.id][p.id] += pheromone_strength;
           self.pheromone[p.id][last_point.id] += pheromone_strength;
         }
         last_point = p;
       });
-      return {complete_path: champ_path, dist: champ_ant_path_length};
+      return {complete_path: champ_ant_path, dist: champ_ant_path_length};
     }
 
-    // Remove any sequential identicals from array a, return the deduped array.
-    function sequential_dedupe (a) {
-      final_ary = [a[0]]
-      for(i=1;i<a.length;i++) {
-        if (a[i] != a[i-1]) {
-          final_ary.push(a[i]);
-        }
-      }
-      return final_ary;
+    // the pheromone level of every arc, as [[point_id, point_id, level]]
+    function pheromone_snapshot() {
+      return _(graph.arcs).map(function(a) {
+        return [a[0], a[1], self.pheromone[a[0]][a[1]]];
+      });
+    }
+
+    // the ids of a closed walk, turned round so it starts (and ends) at the start point,
+    // since every ant sets off from a random point
+    function walk_to_plan(path) {
+      var plan = self.index.path_to_plan(path);
+      var at = _(plan).indexOf(start_point_id);
+      if (at <= 0) return plan;
+      return plan.slice(at, plan.length-1).concat(plan.slice(0, at), [start_point_id]);
     }
 
     // find the shortest path through TSP using ant search algorithm
@@ -285,14 +312,23 @@ function AntSalesman() {
           champ_path = best.complete_path;
           champ_path_length = best.dist;
         }
+        
+        // let whoever is watching know how we're doing
+        if (context) {
+          context.on_progress({
+            iteration: walk + 1,
+            iterations: WALK_COUNT,
+            cost: best.dist,
+            best_cost: champ_path_length,
+            best_plan: walk_to_plan(champ_path),
+            pheromone: pheromone_snapshot()
+          });
+          if (context.expired()) break;
+        }
       }
       
       // We need make sure we just return the IDs 
-      formatted = _(champ_path).map(function(p) {
-        return p.id
-      });
-
-      return sequential_dedupe(formatted);
+      return walk_to_plan(champ_path);
     }
 
     return run_ant_search();
@@ -309,7 +345,7 @@ function AntSalesman() {
     var closest_dist = 9999999;
     var closest_point = null;
     var processed = {}
-    var queue = this.get_surrounding_points(start_point.id);
+    var queue = this.index.get_surrounding_points(start_point.id);
     var max_checks = 10;
     var checks = 0; 
 
@@ -318,7 +354,7 @@ function AntSalesman() {
       var point = queue.shift();
       if (processed[point.id]) continue;
       if (!self.visited[point.id]) {
-        var this_dist = self.get_dist(start_point, point);
+        var this_dist = self.index.get_dist(start_point, point);
         if (this_dist < closest_dist) {
           closest_dist = this_dist;
           closest_point = point;
@@ -327,7 +363,7 @@ function AntSalesman() {
         }
       }
       processed[point.id] = true;
-      _(this.get_surrounding_points(point.id)).each(function(p) {
+      _(this.index.get_surrounding_points(point.id)).each(function(p) {
         if (!processed[p.id]) queue.push(p);
       })
     }
@@ -335,64 +371,35 @@ function AntSalesman() {
     return closest_point; 
   }
   
-  
-  
-  
-  this.get_path_to_point = function(start_point, end_point) {
-    
-    // Breadth First Search. 
-    // The 'visit_queue' consists of the current point, and a 'breadcrumb' path back to the start point.
-    visit_queue = [[start_point, [start_point], 0]]
-    visited = {}
-    max_hits = 5;
-    hits = 0;
-    closest_path = null;
-    closest_dist = 10000000;
-    
-    // We're going to BFS for the end_point.  It's not guaranteed to be the shortest path. 
-    // Is there a better way that is computationally fast enough?
-    while(visit_queue.length > 0) {
-      
-      a = visit_queue.shift();
-      this_point = a[0];
-      this_path = a[1];
-      this_dist = a[2];
-      visited[this_point.id] = true
-      
-      if (this_point.id == end_point.id) {
-        
-        // We've arrived, return the breadcrumb path that took us here...
-        if (this_dist < closest_dist) {
-          closest_dist = this_dist
-          closest_path = this_path
-        }
-        hits += 1;
-        if (hits > max_hits) {
-          break;
-        }
-        
-      } else {
-        
-        // Otherwise, explore all the surrounding points...
-        new_points = self.get_surrounding_points(this_point.id)
-        _(new_points).each(function(p) {
-          if (!visited[p.id]) {
-            dist = self.get_dist(this_point, p)
-            visit_queue.push([p, this_path.concat(p), this_dist + dist])
-          }
-        }); 
-      }  
-    }
-    
-    // Otherwise, a path doesn't exist
-    if (closest_path == null)
-      throw "Could not compute path from start_point to end_point! " + start_point.id + " -> " + end_point.id;
-    return closest_path;
-  }
-  
-  
-
-  
-  
-  
-}
\ No newline at end of file
+}
+
+
+// The colony's parameters. These were guessed at, see AntTuner for finding better ones.
+AntSalesman.DEFAULTS = {
+  ant_count: 15,          // number of ants
+  walk_count: 5,          // number of trials
+  evap_rate: 0.85,        // each time an ant takes a path, lift a bit of pheromone
+                          // so that path doesn't dominate entirely
+  determinism: 0.2,       // rate to choose the best path instead of a random path 
+  beta: 3,                // weighting exponent between importance of closeness v. pheromone
+  pheromone_scalar: 4,    // proportionality constant between inverse of path length and 
+                          // base pheromone level of 1
+  local_search: null      // LocalSearch options to polish every ant's walk with, or null
+};
+
+
+SalesmanRegistry.salesmen.register({
+  name: "ant",
+  label: "Ants",
+  description: "The ant colony",
+  params: {
+    ant_count:        { type: "integer", default: AntSalesman.DEFAULTS.ant_count, min: 1, description: "number of ants" },
+    walk_count:       { type: "integer", default: AntSalesman.DEFAULTS.walk_count, min: 1, description: "number of rounds" },
+    evap_rate:        { type: "number", default: AntSalesman.DEFAULTS.evap_rate, min: 0, max: 1, description: "pheromone kept when an ant takes an arc" },
+    determinism:      { type: "number", default: AntSalesman.DEFAULTS.determinism, min: 0, max: 1, description: "how often to take the best arc" },
+    beta:             { type: "number", default: AntSalesman.DEFAULTS.beta, description: "closeness against pheromone" },
+    pheromone_scalar: { type: "number", default: AntSalesman.DEFAULTS.pheromone_scalar, min: 0, description: "pheromone laid per round" },
+    local_search:     { type: "json", default: AntSalesman.DEFAULTS.local_search, description: "LocalSearch options for every walk" }
+  },
+  create: function(rng, params) { return new AntSalesman(_.extend({ rng: rng }, params)); }
+});
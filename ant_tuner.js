@@ -0,0 +1,236 @@
+/***
+* Looks for better AntSalesman parameters than the ones we guessed at, by running the
+* colony over a fixed set of seeded graphs (built the same way Benchmark builds
+* them) and scoring each configuration by its mean cost.
+*
+*   var tuner = new AntTuner({ sizes: [30], graphs: 5 });
+*   var result = tuner.iterated_race();
+*   console.log(tuner.format_report(result, tuner.sensitivity(result.best)));
+*
+* There are three searches, all returning { best, cost, history: [{config, cost}] }:
+*   grid_search():   every combination of each parameter's 'values'
+*   random_search(): configurations drawn uniformly from the space
+*   iterated_race(): rounds of racing candidates against each other graph by graph,
+*                    dropping the clear losers early and sampling the next round's
+*                    candidates around the survivors
+*
+* options:
+*   space:  which parameters to tune and their ranges (default AntTuner.DEFAULT_SPACE).
+*           Leave a parameter out to keep it fixed.
+*   base:   fixed AntSalesman options for everything that isn't tuned
+*   sizes, graphs, seed, start_point_id: the graph set, as for Benchmark
+*   rng:    a SeededRandom for the searches themselves
+**/
+function AntTuner(options) {
+
+  options = _.defaults({}, options, {
+    space: AntTuner.DEFAULT_SPACE,
+    base: {},
+    sizes: [30],
+    graphs: 5,
+    seed: 1,
+    start_point_id: "pt_0"
+  });
+
+  var RACE_MARGIN = 0.05;    // a candidate is dropped once its mean is this much worse than the leader's
+  var RACE_FIRST_TEST = 2;   // graphs every candidate gets before anyone is dropped
+
+  var self = this;
+  var cache = {};
+
+  this.options = options;
+  this.rng = options.rng || new SeededRandom();
+  this.benchmark = new Benchmark({ start_point_id: options.start_point_id });
+
+  // Build the graph set once, everybody is scored on the same graphs
+  this.instances = [];
+  _(options.sizes).each(function(size) {
+    for (var i=0; i<options.graphs; i++) {
+      var seed = options.seed + i;
+      var graph = new RandomGraphBuilder(new SeededRandom(seed), { num_points: size }).build_graph();
+      self.instances.push({ graph: graph, size: size, seed: seed });
+    }
+  });
+
+
+  /**
+  * Cost of one configuration on one graph of the set (Infinity if the plan was invalid)
+  **/
+  this.evaluate_on = function(config, instance_number) {
+    var key = JSON.stringify(config) + "@" + instance_number;
+    if (cache[key] == null) {
+      var instance = this.instances[instance_number];
+      var algorithm = {
+        name: "ant",
+        create: function(rng) { return new AntSalesman(_.extend({ rng: rng }, options.base, config)); }
+      };
+      var result = this.benchmark.run_one(instance.graph, algorithm, instance.size, instance.seed);
+      cache[key] = result.valid ? result.cost : Number.POSITIVE_INFINITY;
+    }
+    return cache[key];
+  }
+
+
+  /**
+  * Mean cost of a configuration over the whole graph set
+  **/
+  this.evaluate = function(config) {
+    var costs = _(this.instances).map(function(instance, i) { return self.evaluate_on(config, i); });
+    return Benchmark.mean(costs);
+  }
+
+
+  this.grid_search = function() {
+    var names = _(options.space).keys();
+    var configs = [{}];
+    _(names).each(function(name) {
+      var next = [];
+      _(configs).each(function(config) {
+        _(options.space[name].values).each(function(value) {
+          var extended = _.clone(config);
+          extended[name] = value;
+          next.push(extended);
+        });
+      });
+      configs = next;
+    });
+    return this.search(configs);
+  }
+
+
+  this.random_search = function(trials) {
+    var configs = _(_.range(trials || 30)).map(function() { return self.sample_uniform(); });
+    return this.search(configs);
+  }
+
+
+  /**
+  * A simple take on iterated racing (irace). Each round races the candidates graph by
+  * graph, dropping any that fall clearly behind; the survivors become the elites, and
+  * the next round's newcomers are sampled around them with a shrinking spread.
+  **/
+  this.iterated_race = function(race_options) {
+    race_options = _.defaults({}, race_options, { iterations: 4, candidates: 8, elites: 3 });
+    var history = [];
+    var elites = [];
+
+    for (var iteration=0; iteration<race_options.iterations; iteration++) {
+      var spread = 0.5 * (1 - iteration / race_options.iterations);
+      var candidates = _.clone(elites);
+      while (candidates.length < race_options.candidates) {
+        candidates.push(elites.length ? this.sample_near(elites[this.rng.random_int(elites.length)], spread) : this.sample_uniform());
+      }
+
+      var alive = _(candidates).map(function(config) { return { config: config, costs: [] }; });
+      _(this.instances).each(function(instance, i) {
+        _(alive).each(function(c) { c.costs.push(self.evaluate_on(c.config, i)); });
+        if (i + 1 < RACE_FIRST_TEST) return;
+
+        var leader = _(alive).chain().map(function(c) { return Benchmark.mean(c.costs); }).min().value();
+        alive = _(alive).filter(function(c) { return Benchmark.mean(c.costs) <= leader * (1 + RACE_MARGIN); });
+      });
+
+      // Only candidates that made it through every graph have a comparable score
+      var ranked = _(alive).sortBy(function(c) { return Benchmark.mean(c.costs); });
+      _(ranked).each(function(c) { history.push({ config: c.config, cost: Benchmark.mean(c.costs) }); });
+      elites = _(ranked.slice(0, race_options.elites)).pluck("config");
+    }
+
+    var best = _(history).min(function(h) { return h.cost; });
+    return { best: best.config, cost: best.cost, history: history };
+  }
+
+
+  /**
+  * One-at-a-time sensitivity: sweep each tuned parameter across its range while the
+  * others stay at 'config', in 'steps' evenly spaced values from min to max (default
+  * 5, at least 2). Returns rows sorted by how much the parameter matters:
+  * { parameter, values: [{value, cost}], spread: (worst - best) / best in percent }
+  **/
+  this.sensitivity = function(config, steps) {
+    steps = steps == null ? 5 : steps;
+    if (steps < 2) throw new SolverError("A sensitivity sweep needs at least 2 steps! " + steps);
+    var rows = _(options.space).map(function(range, name) {
+      var values = _(_.range(steps)).map(function(step) {
+        var value = clamp(range, range.min + (range.max - range.min) * step / (steps - 1));
+        var swept = _.clone(config);
+        swept[name] = value;
+        return { value: value, cost: self.evaluate(swept) };
+      });
+      var costs = _(values).pluck("cost");
+      var best = _(costs).min();
+      return { parameter: name, values: values, spread: 100 * (_(costs).max() - best) / best };
+    });
+    return _(rows).sortBy(function(row) { return -row.spread; });
+  }
+
+
+  /**
+  * A plain text report of a search result and (optionally) its sensitivity
+  **/
+  this.format_report = function(result, sensitivity) {
+    var lines = ["Best configuration (mean cost " + result.cost.toFixed(1) + " over " + this.instances.length + " graphs):"];
+    _(result.best).each(function(value, name) {
+      lines.push("  " + name + ": " + value);
+    });
+    var defaults = _.pick.apply(_, [AntSalesman.DEFAULTS].concat(_(options.space).keys()));
+    lines.push("Default configuration: mean cost " + this.evaluate(defaults).toFixed(1));
+
+    if (sensitivity) {
+      lines.push("Sensitivity (cost spread across each parameter's range):");
+      _(sensitivity).each(function(row) {
+        var sweep = _(row.values).map(function(v) { return v.value + " -> " + v.cost.toFixed(1); }).join(", ");
+        lines.push("  " + row.parameter + ": " + row.spread.toFixed(1) + "%  (" + sweep + ")");
+      });
+    }
+    return lines.join("\n");
+  }
+
+
+  this.search = function(configs) {
+    var history = _(configs).map(function(config) {
+      return { config: config, cost: self.evaluate(config) };
+    });
+    var best = _(history).min(function(h) { return h.cost; });
+    return { best: best.config, cost: best.cost, history: history };
+  }
+
+
+  this.sample_uniform = function() {
+    var config = {};
+    _(options.space).each(function(range, name) {
+      config[name] = clamp(range, range.min + self.rng.random() * (range.max - range.min));
+    });
+    return config;
+  }
+
+
+  // Gaussian steps around a configuration, 'spread' is relative to each range
+  this.sample_near = function(config, spread) {
+    var sampled = {};
+    _(options.space).each(function(range, name) {
+      var gaussian = Math.sqrt(-2 * Math.log(1 - self.rng.random())) * Math.cos(2 * Math.PI * self.rng.random());
+      sampled[name] = clamp(range, config[name] + gaussian * spread * (range.max - range.min));
+    });
+    return sampled;
+  }
+
+
+  var clamp = function(range, value) {
+    value = Math.max(range.min, Math.min(range.max, value));
+    return range.integer ? Math.round(value) : Math.round(value * 1000) / 1000;
+  }
+
+}
+
+
+// Ranges to search for each AntSalesman parameter. 'values' is what grid_search tries;
+// the full grid is 729 configurations, so you'll usually want to tune a few at a time.
+AntTuner.DEFAULT_SPACE = {
+  ant_count:        { min: 5,   max: 40,  integer: true, values: [5, 15, 30] },
+  walk_count:       { min: 2,   max: 20,  integer: true, values: [2, 5, 10] },
+  evap_rate:        { min: 0.5, max: 1,   values: [0.7, 0.85, 0.95] },
+  determinism:      { min: 0,   max: 0.9, values: [0, 0.2, 0.5] },
+  beta:             { min: 0.5, max: 6,   values: [1, 3, 5] },
+  pheromone_scalar: { min: 0.5, max: 20,  values: [1, 4, 10] }
+};
@@ -0,0 +1,245 @@
+/***
+* Runs a list of salesmen over many seeded random graphs and sums up how they did,
+* since a single run on a single graph mostly measures luck. Everything goes
+* through Harness.run_algorithm and Harness.compute_plan_cost, just like the page.
+*
+*   var benchmark = new Benchmark({
+*     algorithms: [
+*       { name: "quick", create: function(rng) { return new QuickSalesman(); } },
+*       { name: "ant",   create: function(rng) { return new AntSalesman({ rng: rng }); } }
+*     ],
+*     sizes: [25, 75],
+*     graphs: 20,
+*     seed: 1
+*   });
+*   var results = benchmark.run();
+*   console.log(benchmark.format_table(benchmark.summarize(results)));
+*
+* Graph i of each size is built from seed + i, and each salesman gets its own
+* SeededRandom with that same seed, so every run can be replayed on its own.
+*
+* options:
+*   algorithms:     [{ name, create(rng) }] - the salesmen to race
+*   sizes:          graph sizes (number of points) to try (default [75])
+*   graphs:         how many graphs of each size (default 10)
+*   seed:           seed of the first graph (default 1)
+*   start_point_id: where every salesman starts (default "pt_0")
+*   time_budget:    milliseconds each run gets (default: Harness.run_algorithm's)
+*   gap:            what to measure each cost against, as a percentage above it:
+*                   "bound" for the Held-Karp lower bound (see HeldKarpBound), or
+*                   "optimum" for ExactSalesman's tour, which falls back to the bound
+*                   on graphs it can't prove optimal in time (default: no gap)
+*   on_result:      called with each raw result as soon as it's in
+**/
+function Benchmark(options) {
+
+  options = _.defaults({}, options, {
+    algorithms: [],
+    sizes: [75],
+    graphs: 10,
+    seed: 1,
+    start_point_id: "pt_0"
+  });
+
+  var CSV_COLUMNS = ["algorithm", "size", "seed", "cost", "time", "time_to_first_solution", "time_to_best",
+                     "over_budget", "valid", "error"];
+  var GAP_COLUMNS = ["reference", "gap"];
+
+  if (options.gap != null && !_(["bound", "optimum"]).include(options.gap)) {
+    throw new SolverError("gap must be bound or optimum! " + options.gap);
+  }
+
+  this.options = options;
+  this.harness = new Harness();
+
+
+  /**
+  * Runs everything. Returns the raw results, one per (algorithm, graph):
+  * { algorithm, size, seed, cost, time, time_to_first_solution, time_to_best,
+  *   over_budget, valid, error }, plus { reference, gap } with the gap option.
+  **/
+  this.run = function() {
+    var self = this;
+    var results = [];
+
+    _(options.sizes).each(function(size) {
+      for (var i=0; i<options.graphs; i++) {
+        var seed = options.seed + i;
+        var graph = new RandomGraphBuilder(new SeededRandom(seed), { num_points: size }).build_graph();
+        var reference = options.gap ? self.compute_reference(graph, seed) : null;
+
+        _(options.algorithms).each(function(algorithm) {
+          var result = self.run_one(graph, algorithm, size, seed, reference);
+          results.push(result);
+          if (options.on_result) options.on_result(result);
+        });
+      }
+    });
+
+    return results;
+  }
+
+
+  this.run_one = function(graph, algorithm, size, seed, reference) {
+    var result = { algorithm: algorithm.name, size: size, seed: seed, cost: null, time: null,
+                   time_to_first_solution: null, time_to_best: null, over_budget: false, valid: false, error: null };
+    if (options.gap) {
+      result.reference = reference;
+      result.gap = null;
+    }
+    var start_time = new Date();
+    try {
+      var salesman = algorithm.create(new SeededRandom(seed));
+      var plan = this.harness.run_algorithm(graph, options.start_point_id, salesman, { time_budget: options.time_budget });
+      var run = this.harness.last_run;
+      result.time = new Date() - start_time;
+      result.time_to_first_solution = run.time_to_first_solution;
+      result.time_to_best = run.time_to_best;
+      result.over_budget = run.over_budget;
+      result.cost = this.harness.compute_plan_cost(graph, plan);
+      result.valid = true;
+      if (reference > 0) result.gap = 100 * (result.cost - reference) / reference;
+    } catch (e) {
+      if (result.time == null) result.time = new Date() - start_time;
+      result.error = String(e && e.message ? e.message : e);
+    }
+    return result;
+  }
+
+
+  /**
+  * What the gap option measures a graph's costs against. null if there's nothing to
+  * compare with (fewer than 2 points).
+  **/
+  this.compute_reference = function(graph, seed) {
+    var bound = this.harness.compute_lower_bound(graph);
+    if (options.gap == "optimum") {
+      var exact = new ExactSalesman({ rng: new SeededRandom(seed) });
+      exact.compute_plan(graph, options.start_point_id);
+      if (exact.optimal) return exact.tour_length;
+    }
+    return bound > 0 ? bound : null;
+  }
+
+
+  /**
+  * Boils raw results down to one row per (algorithm, size):
+  * { algorithm, size, runs, valid, mean, median, stdev, min, max, mean_time, wins,
+  *   mean_gap } - mean_gap is null unless the gap option is on.
+  * A win is having the lowest valid cost on a graph (ties all count as wins, and
+  * costs within a hair of each other tie - the same tour summed from a different
+  * start can be off in the last bits).
+  **/
+  this.summarize = function(results) {
+    var wins = {};
+    var by_graph = _(results).groupBy(function(r) { return r.size + "|" + r.seed; });
+    _(by_graph).each(function(graph_results) {
+      var valid = _(graph_results).filter(function(r) { return r.valid; });
+      if (valid.length == 0) return;
+      var best = _(valid).min(function(r) { return r.cost; }).cost;
+      _(valid).each(function(r) {
+        if (Math.abs(r.cost - best) <= 1e-9 * best) {
+          var key = r.algorithm + "|" + r.size;
+          wins[key] = (wins[key] || 0) + 1;
+        }
+      });
+    });
+
+    var rows = [];
+    var by_algorithm = _(results).groupBy(function(r) { return r.algorithm + "|" + r.size; });
+    _(by_algorithm).each(function(runs, key) {
+      var costs = _(runs).chain().filter(function(r) { return r.valid; }).pluck("cost").value();
+      var times = _(runs).pluck("time");
+      var gaps = _(runs).chain().pluck("gap").filter(function(gap) { return gap != null; }).value();
+      rows.push({
+        algorithm: runs[0].algorithm,
+        size: runs[0].size,
+        runs: runs.length,
+        valid: costs.length,
+        mean: Benchmark.mean(costs),
+        median: Benchmark.median(costs),
+        stdev: Benchmark.stdev(costs),
+        min: costs.length ? _(costs).min() : null,
+        max: costs.length ? _(costs).max() : null,
+        mean_time: Benchmark.mean(times),
+        wins: wins[key] || 0,
+        mean_gap: Benchmark.mean(gaps)
+      });
+    });
+    return rows;
+  }
+
+
+  /**
+  * A plain text table of a summary, for the console. With the gap option there's
+  * a gap% column too, the mean percentage above the bound or optimum.
+  **/
+  this.format_table = function(summary) {
+    var headers = ["algorithm", "size", "valid", "mean", "median", "stdev", "min", "max", "ms", "wins"];
+    if (options.gap) headers.push("gap%");
+    var rows = _(summary).map(function(s) {
+      var row = [s.algorithm, s.size, s.valid + "/" + s.runs, fixed(s.mean), fixed(s.median), fixed(s.stdev),
+                 fixed(s.min), fixed(s.max), fixed(s.mean_time), s.wins];
+      if (options.gap) row.push(s.mean_gap == null ? "-" : s.mean_gap.toFixed(2));
+      return row;
+    });
+
+    var widths = _(headers).map(function(h, i) {
+      return _([h].concat(_(rows).pluck(i))).chain().map(function(v) { return String(v).length; }).max().value();
+    });
+    var format_row = function(row) {
+      return _(row).map(function(v, i) {
+        var text = String(v);
+        return text + new Array(widths[i] - text.length + 1).join(" ");
+      }).join("  ").replace(/\s+$/, "");
+    };
+
+    return [format_row(headers)].concat(_(rows).map(format_row)).join("\n");
+  }
+
+
+  this.to_json = function(results) {
+    return JSON.stringify(results, null, 2);
+  }
+
+
+  this.to_csv = function(results) {
+    var columns = options.gap ? CSV_COLUMNS.concat(GAP_COLUMNS) : CSV_COLUMNS;
+    var lines = [columns.join(",")];
+    _(results).each(function(r) {
+      lines.push(_(columns).map(function(column) {
+        var value = r[column] == null ? "" : String(r[column]);
+        return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+      }).join(","));
+    });
+    return lines.join("\n");
+  }
+
+
+  var fixed = function(value) {
+    return value == null ? "-" : value.toFixed(1);
+  }
+
+}
+
+
+Benchmark.mean = function(values) {
+  if (values.length == 0) return null;
+  return _(values).reduce(function(sum, v) { return sum + v; }, 0) / values.length;
+}
+
+
+Benchmark.median = function(values) {
+  if (values.length == 0) return null;
+  var sorted = _(values).sortBy(_.identity);
+  var middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+
+Benchmark.stdev = function(values) {
+  if (values.length == 0) return null;
+  var mean = Benchmark.mean(values);
+  var variance = _(values).reduce(function(sum, v) { return sum + Math.pow(v - mean, 2); }, 0) / values.length;
+  return Math.sqrt(variance);
+}
@@ -0,0 +1,27 @@
+/***
+* Runs any salesman on the metric closure of the graph (see MetricClosure) and then
+* expands its tour back onto the real arcs. The wrapped salesman sees a complete
+* graph, so it never gets trapped.
+*
+*   var salesman = new ClosureSalesman(new QuickSalesman());
+**/
+function ClosureSalesman(salesman) {
+
+  this.salesman = salesman;
+
+
+  this.compute_plan = function(graph, start_point_id) {
+    this.closure = new MetricClosure(graph);
+    var closure_plan = this.salesman.compute_plan(this.closure.build_graph(), start_point_id);
+    return this.closure.expand_plan(closure_plan);
+  }
+
+}
+
+
+SalesmanRegistry.salesmen.register({
+  name: "closure",
+  label: "Closure",
+  description: "QuickSalesman on the metric closure",
+  create: function(rng, params) { return new ClosureSalesman(new QuickSalesman()); }
+});
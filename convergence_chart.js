@@ -0,0 +1,121 @@
+/***
+* A small d3 chart of how iterative salesmen converge: for each salesman, the best
+* tour length so far (solid) and the length found in each iteration (dotted),
+* against the iteration number. Feed it the salesman's progress reports:
+*
+*   var chart = new ConvergenceChart("#convergence");
+*   harness.run_algorithm(graph, start_point_id, salesman, {
+*     on_progress: function(progress) { chart.add_progress("Ants", progress); }
+*   });
+*
+* A salesman that doesn't number its reports (ExactSalesman) gets them numbered in
+* the order they come in.
+*
+* options:
+*   width, height: size of the plot in pixels, axes included (default 360 x 200)
+**/
+function ConvergenceChart(container, options) {
+
+  options = _.defaults({}, options, {
+    width: 360,
+    height: 200
+  });
+
+  var MARGIN = { top: 10, right: 10, bottom: 20, left: 45 };
+  var WIDTH = options.width - MARGIN.left - MARGIN.right;
+  var HEIGHT = options.height - MARGIN.top - MARGIN.bottom;
+
+  this.series = [];
+  var colours = d3.scale.category10();
+  var x_scale = d3.scale.linear().range( [0, WIDTH] );
+  var y_scale = d3.scale.linear().range( [HEIGHT, 0] );
+
+
+  this.initialize = function() {
+    this.svg = d3.select( container )
+      .append( "svg:svg" )
+        .attr( "class", "convergence_chart" )
+        .attr( "width", options.width )
+        .attr( "height", options.height )
+      .append( "g" )
+        .attr( "transform", "translate(" + MARGIN.left + "," + MARGIN.top + ")" );
+
+    this.x_axis = this.svg.append( "g" )
+      .attr( "class", "axis" )
+      .attr( "transform", "translate(0," + HEIGHT + ")" );
+    this.y_axis = this.svg.append( "g" )
+      .attr( "class", "axis" );
+  }
+
+
+  /**
+  * Adds one progress report, { iteration, cost, best_cost }, to the named series
+  * (which is created the first time we see it) and redraws
+  **/
+  this.add_progress = function(name, progress) {
+    var series = _(this.series).detect(function(s) { return s.name == name; });
+    if (series == null) {
+      series = { name: name, colour: colours(this.series.length), points: [] };
+      this.series.push(series);
+    }
+
+    series.points.push({
+      iteration: progress.iteration == null ? series.points.length + 1 : progress.iteration,
+      cost: progress.cost,
+      best_cost: progress.best_cost
+    });
+    this.draw();
+  }
+
+
+  this.draw = function() {
+    var points = _(this.series).chain().pluck( "points" ).flatten().value();
+    var costs = _(points).chain()
+      .map(function(p) { return [p.cost, p.best_cost]; })
+      .flatten()
+      .filter(function(c) { return c != null && isFinite(c); })
+      .value();
+    if (costs.length == 0) return;
+
+    x_scale.domain( [1, Math.max(2, _(points).chain().pluck( "iteration" ).max().value())] );
+    y_scale.domain( [_(costs).min(), _(costs).max()] ).nice();
+
+    this.x_axis.call( d3.svg.axis().scale( x_scale ).orient( "bottom" ).ticks( 5 ) );
+    this.y_axis.call( d3.svg.axis().scale( y_scale ).orient( "left" ).ticks( 5 ) );
+
+    var line = function(field) {
+      return d3.svg.line()
+        .defined(function(p) { return p[field] != null && isFinite(p[field]); })
+        .x(function(p) { return x_scale(p.iteration); })
+        .y(function(p) { return y_scale(p[field]); });
+    };
+
+    var groups = this.svg.selectAll( "g.series" )
+      .data( this.series, function(s) { return s.name; });
+
+    var entered = groups.enter()
+      .append( "g" )
+      .attr( "class", "series" );
+    entered.append( "path" ).attr( "class", "cost" );
+    entered.append( "path" ).attr( "class", "best_cost" );
+    entered.append( "text" )
+      .attr( "class", "legend" )
+      .attr( "x", WIDTH )
+      .attr( "y", function(s, i) { return 10 + 12 * i; })
+      .attr( "text-anchor", "end" )
+      .text(function(s) { return s.name; });
+
+    groups.select( "path.cost" )
+      .attr( "d", function(s) { return line( "cost" )(s.points); })
+      .style( "stroke", function(s) { return s.colour; });
+    groups.select( "path.best_cost" )
+      .attr( "d", function(s) { return line( "best_cost" )(s.points); })
+      .style( "stroke", function(s) { return s.colour; });
+    groups.select( "text.legend" )
+      .style( "fill", function(s) { return s.colour; });
+  }
+
+
+  // Initialize
+  this.initialize();
+}
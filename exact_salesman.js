@@ -0,0 +1,324 @@
+/***
+* Finds the provably shortest closed walk, so we can tell how far the other
+* salesmen are from optimal. Like LKSalesman it works on the metric closure (see
+* MetricClosure): the best Hamiltonian tour there expands into the best closed walk
+* on the real graph.
+*
+*   - Up to held_karp_max_points points we use Held-Karp dynamic programming over
+*     subsets, which is O(2^n n^2) but always finishes.
+*   - Past that we fall back to depth-first branch and bound, seeded with a chained
+*     LK tour and pruned with 1-tree bounds on the rest of the tour. It stops as soon as a tour is as short as the Held-Karp lower bound
+*     (see HeldKarpBound), since nothing can beat that - to within a millionth, which
+*     is as close as the bound's subgradient steps get. If it runs out of time_limit
+*     instead, the best tour found so far is returned and 'optimal' is false.
+*
+* After compute_plan, 'optimal' tells whether the plan is proven optimal and
+* 'tour_length' holds its length.
+*
+* options:
+*   rng:                   a SeededRandom for the kicks of the starting tour
+*   time_limit:            milliseconds the branch and bound may take, building the
+*                          metric closure included (default 10000)
+*   held_karp_max_points:  biggest graph to solve with Held-Karp (default 18, at most
+*                          20 - every point more doubles the memory it takes)
+**/
+function ExactSalesman(options) {
+
+  options = _.defaults({}, options, {
+    time_limit: 10000,
+    held_karp_max_points: 18
+  });
+
+  var CHECK_CLOCK_EVERY = 100;    // branch and bound nodes between looks at the clock
+  var HELD_KARP_LIMIT = 20;       // 2^19 * 19 doubles is 80MB already
+  var SAFETY_MARGIN = 0.1;        // of the context's time left, kept for turning the tour into a plan
+  var BOUND_TOLERANCE = 1e-6;     // relative; the Held-Karp bound creeps up on the optimum, never quite there
+
+  if (options.held_karp_max_points > HELD_KARP_LIMIT) {
+    throw new SolverError("held_karp_max_points can't be over " + HELD_KARP_LIMIT + "! " + options.held_karp_max_points);
+  }
+
+  this.options = options;
+  this.rng = options.rng || new SeededRandom();
+
+
+  /**
+  * Branch and bound reports every new best tour and keeps clear of the context's
+  * deadline. Held-Karp has nothing to show until it's done, so it just runs.
+  **/
+  this.compute_plan = function(graph, start_point_id, context) {
+
+    var self = this;
+
+    // Everything from here on counts against the time, building the closure included
+    var deadline = new Date().getTime() + options.time_limit;
+    if (context) deadline = Math.min(deadline, new Date().getTime() + context.time_left() * (1 - SAFETY_MARGIN));
+
+    this.closure = new MetricClosure(graph);
+    var m = this.closure.get_distance_matrix();
+    var start = m.position_by_id[start_point_id];
+    var result;
+
+    if (m.ids.length <= options.held_karp_max_points) {
+      result = this.held_karp(m.matrix, start);
+    } else {
+      var on_improvement = null;
+      if (context) {
+        on_improvement = function(tour, length) {
+          context.on_progress({ cost: length, best_cost: length, best_plan: self.closure.positions_to_plan(tour, start_point_id) });
+        };
+      }
+      result = this.branch_and_bound(m.matrix, start, deadline, on_improvement);
+    }
+
+    this.optimal = result.optimal;
+    this.tour_length = result.length;
+    return this.closure.positions_to_plan(result.tour, start_point_id);
+  }
+
+
+  /**
+  * Held-Karp. best[mask][j] is the shortest path that leaves 'start', visits exactly
+  * the cities in mask and ends at city j (which is in mask). The cities other than
+  * start are renumbered 0..k-1 so they fit in the mask.
+  **/
+  this.held_karp = function(matrix, start) {
+    var n = matrix.length;
+    if (n == 1) return { tour: [start], length: 0, optimal: true };
+
+    var cities = _(_.range(n)).reject(function(i) { return i == start; });
+    var k = cities.length;
+    var full = (1 << k) - 1;
+    var best = new Float64Array((1 << k) * k);
+    var parent = new Int8Array((1 << k) * k);
+
+    for (var i=0; i<best.length; i++) best[i] = Number.POSITIVE_INFINITY;
+    for (var j=0; j<k; j++) {
+      best[(1 << j) * k + j] = matrix[start][cities[j]];
+      parent[(1 << j) * k + j] = -1;
+    }
+
+    for (var mask=1; mask<=full; mask++) {
+      for (var j=0; j<k; j++) {
+        if (!(mask & (1 << j))) continue;
+        var here = best[mask * k + j];
+        if (here == Number.POSITIVE_INFINITY) continue;
+
+        // Extend the path ending at j by one more city
+        for (var next=0; next<k; next++) {
+          if (mask & (1 << next)) continue;
+          var next_mask = mask | (1 << next);
+          var length = here + matrix[cities[j]][cities[next]];
+          if (length < best[next_mask * k + next]) {
+            best[next_mask * k + next] = length;
+            parent[next_mask * k + next] = j;
+          }
+        }
+      }
+    }
+
+    // Close the loop back to start from the best last city
+    var best_length = Number.POSITIVE_INFINITY, last = -1;
+    for (var j=0; j<k; j++) {
+      var length = best[full * k + j] + matrix[cities[j]][start];
+      if (length < best_length) {
+        best_length = length;
+        last = j;
+      }
+    }
+
+    // Walk the parents back to recover the tour
+    var tour = [];
+    var mask = full;
+    while (last >= 0) {
+      tour.push(cities[last]);
+      var previous = parent[mask * k + last];
+      mask = mask & ~(1 << last);
+      last = previous;
+    }
+    tour.push(start);
+    tour.reverse();
+
+    return { tour: tour, length: best_length, optimal: true };
+  }
+
+
+  /**
+  * Depth-first branch and bound from start, given until deadline (a time in
+  * milliseconds, as from Date.getTime). A quick bound is the length so far plus, for
+  * every city still to be entered (the unvisited ones and start itself), the cheapest
+  * arc into it. When that doesn't prune, see one_tree_bound for a tighter one.
+  * on_improvement(tour, length), if given, hears about every new best tour.
+  *
+  * The time is shared out: a third of it for the starting tour, which is reported
+  * straight away, half of what's left for the Held-Karp bound, and the rest for the
+  * search. Once we have a tour as short as the bound we're done.
+  **/
+  this.branch_and_bound = function(matrix, start, deadline, on_improvement) {
+    var n = matrix.length;
+    var nodes = 0;
+    var timed_out = false;
+    var proven = false;
+
+    // The cheapest way into each city, and everyone's neighbours closest first
+    var cheapest_in = _(_.range(n)).map(function(i) {
+      return _(_.range(n)).chain().reject(function(j) { return j == i; }).map(function(j) { return matrix[j][i]; }).min().value();
+    });
+    var by_distance = _(_.range(n)).map(function(i) {
+      return _(_.range(n)).sortBy(function(j) { return matrix[i][j]; });
+    });
+
+    // A decent incumbent makes for a lot of pruning
+    var incumbent = this.initial_tour(matrix, start, deadline - (deadline - new Date().getTime()) * 2 / 3);
+    var best_tour = incumbent.tour;
+    var best_length = incumbent.length;
+    if (on_improvement) on_improvement(best_tour, best_length);
+
+    var held_karp = new HeldKarpBound({
+      upper_bound: best_length,
+      time_limit: Math.max(0, deadline - new Date().getTime()) / 2
+    }).compute_for_matrix(matrix);
+    var lower_bound = held_karp.bound;
+    var meets_bound = function(length) {
+      return length <= lower_bound + BOUND_TOLERANCE * Math.max(1, lower_bound);
+    };
+    if (meets_bound(best_length)) return { tour: best_tour, length: best_length, optimal: true };
+
+    var visited = new Uint8Array(n);
+    var one_tree_bound = this.one_tree_bound(matrix, start, visited, held_karp.pi);
+    var path = [start];
+    var remaining_bound = _(cheapest_in).reduce(function(sum, c) { return sum + c; }, 0) - cheapest_in[start];
+    visited[start] = 1;
+
+    var search = function(current, length, remaining) {
+      if (timed_out || proven) return;
+      if (++nodes % CHECK_CLOCK_EVERY == 0 && new Date().getTime() > deadline) {
+        timed_out = true;
+        return;
+      }
+
+      if (path.length == n) {
+        var total = length + matrix[current][start];
+        if (total < best_length) {
+          best_length = total;
+          best_tour = path.slice();
+          if (on_improvement) on_improvement(best_tour, best_length);
+          proven = meets_bound(best_length);
+        }
+        return;
+      }
+
+      var bound = length + remaining + cheapest_in[start];
+      if (bound >= best_length) return;
+      if (length + one_tree_bound(current) >= best_length) return;
+
+      var candidates = by_distance[current];
+      for (var c=0; c<n; c++) {
+        var next = candidates[c];
+        if (visited[next]) continue;
+        if (length + matrix[current][next] + remaining - cheapest_in[next] + cheapest_in[start] >= best_length) continue;
+
+        visited[next] = 1;
+        path.push(next);
+        search(next, length + matrix[current][next], remaining - cheapest_in[next]);
+        path.pop();
+        visited[next] = 0;
+      }
+    }
+
+    search(start, 0, remaining_bound);
+    return { tour: best_tour, length: best_length, optimal: !timed_out };
+  }
+
+
+  /**
+  * Returns a function of the current city that bounds the rest of the tour: a path
+  * from there through every city not yet visited and back to start. Take away its
+  * two end arcs and what's left spans the unvisited cities, so with the Held-Karp
+  * penalties pi on every arc it's at least their minimum spanning tree plus the
+  * cheapest arc from current and from start into them. Each unvisited city has two
+  * penalized arcs on the path and current and start one, which we take back off.
+  **/
+  this.one_tree_bound = function(matrix, start, visited, pi) {
+    var n = matrix.length;
+    var cities = new Int32Array(n);
+    var cheapest = new Float64Array(n);
+    var in_tree = new Uint8Array(n);
+
+    var cost = function(i, j) { return matrix[i][j] + pi[i] + pi[j]; };
+
+    return function(current) {
+      var k = 0;
+      for (var i=0; i<n; i++) {
+        if (!visited[i]) cities[k++] = i;
+      }
+      if (k == 0) return matrix[current][start];
+
+      // Prim's over the unvisited cities, and their penalties as we go
+      var length = -pi[current] - pi[start];
+      var from_current = Number.POSITIVE_INFINITY, from_start = Number.POSITIVE_INFINITY;
+      for (var c=0; c<k; c++) {
+        var i = cities[c];
+        in_tree[i] = 0;
+        cheapest[i] = cost(cities[0], i);
+        length -= 2 * pi[i];
+        from_current = Math.min(from_current, cost(current, i));
+        from_start = Math.min(from_start, cost(start, i));
+      }
+      in_tree[cities[0]] = 1;
+
+      for (var added=1; added<k; added++) {
+        var next = -1;
+        for (var c=1; c<k; c++) {
+          var i = cities[c];
+          if (!in_tree[i] && (next < 0 || cheapest[i] < cheapest[next])) next = i;
+        }
+        in_tree[next] = 1;
+        length += cheapest[next];
+        for (var c=1; c<k; c++) {
+          var i = cities[c];
+          if (!in_tree[i] && cost(next, i) < cheapest[i]) cheapest[i] = cost(next, i);
+        }
+      }
+
+      return length + from_current + from_start;
+    }
+  }
+
+
+  // A chained Lin-Kernighan tour (see LKSalesman), rotated to begin at start. We stop
+  // kicking at deadline.
+  this.initial_tour = function(matrix, start, deadline) {
+    var n = matrix.length;
+    var lk = new LKSalesman({ rng: this.rng });
+    var neighbours = MetricClosure.neighbour_lists(matrix, lk.options.neighbours);
+    var best_tour = lk.lin_kernighan(MetricClosure.nearest_neighbour_tour(matrix, start), matrix, neighbours);
+    var best_length = MetricClosure.tour_length(best_tour, matrix);
+
+    for (var kick=0; kick<n && n >= 8; kick++) {
+      if (new Date().getTime() > deadline) break;
+      var tour = lk.lin_kernighan(lk.double_bridge(best_tour), matrix, neighbours);
+      var length = MetricClosure.tour_length(tour, matrix);
+      if (length < best_length) {
+        best_tour = tour;
+        best_length = length;
+      }
+    }
+
+    var at = _(best_tour).indexOf(start);
+    return { tour: best_tour.slice(at).concat(best_tour.slice(0, at)), length: best_length };
+  }
+
+}
+
+
+SalesmanRegistry.salesmen.register({
+  name: "exact",
+  label: "Exact",
+  description: "Held-Karp / branch and bound",
+  params: {
+    time_limit:           { type: "integer", default: 10000, min: 0, description: "milliseconds for branch and bound" },
+    held_karp_max_points: { type: "integer", default: 18, min: 1, max: 20, description: "biggest graph for Held-Karp" }
+  },
+  create: function(rng, params) { return new ExactSalesman(_.extend({ rng: rng }, params)); }
+});
@@ -0,0 +1,238 @@
+/***
+* Lets you edit the Renderer's graph with the mouse, to hand-craft nasty cases for
+* the salesmen:
+*
+*   click on empty space        add a point (with an arc to its nearest neighbour)
+*   drag a point                move it
+*   shift-drag point to point   add an arc between them
+*   alt-click a point or arc    delete it (a point takes its arcs with it)
+*
+* After every edit the graph is re-connected the way RandomGraphBuilder does it (see
+* connect_components), redrawn, and handed to on_change. Every edit makes a new
+* graph object, so anything worked out for the old one (plans, GraphIndexes,
+* Harness.get_index) can tell it's stale.
+*
+*   var editor = new GraphEditor(renderer, {
+*     on_change: function(graph, added_arcs) { ... }
+*   });
+*   editor.enable();
+*
+* options:
+*   start_point_id: a point that can't be deleted (default "pt_0")
+*   on_change:      callback(graph, added_arcs), added_arcs being the ones
+*                   connect_components had to put in
+**/
+function GraphEditor(renderer, options) {
+
+  options = _.defaults({}, options, {
+    start_point_id: "pt_0",
+    on_change: function() {}
+  });
+
+  this.enabled = false;
+
+
+  this.enable = function() {
+    var self = this;
+    this.enabled = true;
+    d3.select(renderer.svg.node().ownerSVGElement)
+      .classed( "editing", true )
+      .on( "click.editor", function() { self.on_background_click(); });
+    this.bind();
+  }
+
+
+  this.disable = function() {
+    this.enabled = false;
+    d3.select(renderer.svg.node().ownerSVGElement)
+      .classed( "editing", false )
+      .on( "click.editor", null );
+    renderer.svg.selectAll( "circle.node" ).on( "mousedown.drag", null ).on( "click.editor", null );
+    renderer.svg.selectAll( "line.arcs" ).on( "click.editor", null );
+  }
+
+
+  this.toggle = function() {
+    this.enabled ? this.disable() : this.enable();
+    return this.enabled;
+  }
+
+
+  /**
+  * Hooks the mouse up to the nodes and arcs on screen (again, after a redraw)
+  **/
+  this.bind = function() {
+    var self = this;
+    var drag_from = null;     // the point we're drawing an arc from
+    var dragged_to = null;    // where it's been dragged to
+
+    var drag = d3.behavior.drag()
+      .origin(function(d) {
+        var screen = renderer.screen_position(d);
+        return { x: screen[0], y: screen[1] };
+      })
+      .on( "dragstart", function(d) {
+        drag_from = d3.event.sourceEvent.shiftKey ? d : null;
+        dragged_to = null;
+      })
+      .on( "drag", function(d) {
+        dragged_to = renderer.graph_position( [d3.event.x, d3.event.y] );
+        if (drag_from) {
+          self.draw_rubber_band(d, dragged_to);
+        } else {
+          renderer.move_node(d.id, dragged_to);
+        }
+      })
+      .on( "dragend", function(d) {
+        renderer.svg.selectAll( "line.rubber_band" ).remove();
+        if (dragged_to == null) return;
+        if (drag_from) {
+          var target = self.point_near(dragged_to);
+          if (target) self.add_arc(drag_from.id, target.id);
+        } else {
+          self.move_point(d.id, dragged_to);
+        }
+      });
+
+    renderer.svg.selectAll( "circle.node" )
+      .call( drag )
+      .on( "click.editor", function(d) {
+        if (d3.event.altKey) self.delete_point(d.id);
+      });
+
+    renderer.svg.selectAll( "line.arcs" )
+      .on( "click.editor", function(d) {
+        if (d3.event.altKey) self.delete_arc(d[0], d[1]);
+      });
+  }
+
+
+  this.on_background_click = function() {
+    var target = d3.select(d3.event.target);
+    if (d3.event.altKey || target.classed( "node" ) || target.classed( "arcs" )) return;
+    this.add_point(renderer.graph_position(d3.mouse(renderer.svg.node())));
+  }
+
+
+  this.draw_rubber_band = function(from, to) {
+    var band = renderer.svg.select( "line.rubber_band" );
+    if (band.empty()) band = renderer.svg.append( "line" ).attr( "class", "rubber_band" );
+    var start = renderer.screen_position(from), end = renderer.screen_position(to);
+    band
+      .attr( "x1", start[0] )
+      .attr( "y1", start[1] )
+      .attr( "x2", end[0] )
+      .attr( "y2", end[1] );
+  }
+
+
+  /**
+  * The point under 'position' (graph coordinates), if any
+  **/
+  this.point_near = function(position) {
+    var screen = renderer.screen_position(position);
+    return _(renderer.graph.points).detect(function(p) {
+      var p_screen = renderer.screen_position(p);
+      return Math.sqrt(Math.pow(p_screen[0] - screen[0], 2) + Math.pow(p_screen[1] - screen[1], 2)) <= NODE_RADIUS;
+    });
+  }
+
+
+  /**
+  * The edits. Each one works on a copy of the graph, then hands it to commit()
+  **/
+  this.add_point = function(position) {
+    var graph = copy_graph(renderer.graph);
+    position = clamp(position);
+    var point = { id: next_point_id(graph), x: position.x, y: position.y };
+    var nearest = _(graph.points).min(function(p) { return GraphIndex.euclidean(p, point); });
+    graph.points.push(point);
+    if (nearest && nearest.id) graph.arcs.push([nearest.id, point.id]);
+    return this.commit(graph);
+  }
+
+
+  this.move_point = function(point_id, position) {
+    var graph = copy_graph(renderer.graph);
+    var point = _(graph.points).detect(function(p) { return p.id == point_id; });
+    position = clamp(position);
+    point.x = position.x;
+    point.y = position.y;
+
+    // Arcs that carry their own length (e.g. from a TSPLIB file) get measured again
+    graph.arcs = _(graph.arcs).map(function(a) {
+      return a[0] == point_id || a[1] == point_id ? a.slice(0, 2) : a;
+    });
+    return this.commit(graph);
+  }
+
+
+  this.add_arc = function(point1_id, point2_id) {
+    if (point1_id == point2_id || renderer.index.arc_exists(point1_id, point2_id)) return null;
+    var graph = copy_graph(renderer.graph);
+    graph.arcs.push([point1_id, point2_id]);
+    return this.commit(graph);
+  }
+
+
+  this.delete_point = function(point_id) {
+    if (point_id == options.start_point_id) return null;
+    var graph = copy_graph(renderer.graph);
+    graph.points = _(graph.points).reject(function(p) { return p.id == point_id; });
+    graph.arcs = _(graph.arcs).reject(function(a) { return a[0] == point_id || a[1] == point_id; });
+    return this.commit(graph);
+  }
+
+
+  this.delete_arc = function(point1_id, point2_id) {
+    var graph = copy_graph(renderer.graph);
+    graph.arcs = _(graph.arcs).reject(function(a) {
+      return (a[0] == point1_id && a[1] == point2_id) || (a[0] == point2_id && a[1] == point1_id);
+    });
+    return this.commit(graph);
+  }
+
+
+  /**
+  * Re-connects the edited graph, draws it and tells everyone. Returns the graph.
+  **/
+  this.commit = function(graph) {
+    var added_arcs = new RandomGraphBuilder().connect_components(graph);
+    renderer.update_graph(graph);
+    if (this.enabled) this.bind();
+    options.on_change(graph, added_arcs);
+    return graph;
+  }
+
+
+  var copy_graph = function(graph) {
+    var copy = {
+      points: _(graph.points).map(function(p) { return _.clone(p); }),
+      arcs: _(graph.arcs).map(function(a) { return a.slice(); })
+    };
+    if (graph.name) copy.name = graph.name;
+    return copy;
+  }
+
+
+  // "pt_" and one more than the biggest number in use
+  var next_point_id = function(graph) {
+    var numbers = _(graph.points).map(function(p) {
+      var match = /^pt_(\d+)$/.exec(p.id);
+      return match ? parseInt(match[1], 10) : -1;
+    });
+    return "pt_" + (numbers.length == 0 ? 0 : _(numbers).max() + 1);
+  }
+
+
+  // Keeps a position on screen
+  var clamp = function(position) {
+    var top_left = renderer.graph_position( [0, 0] );
+    var bottom_right = renderer.graph_position( [WIDTH, HEIGHT] );
+    return {
+      x: Math.max(top_left.x, Math.min(bottom_right.x, position.x)),
+      y: Math.max(bottom_right.y, Math.min(top_left.y, position.y))
+    };
+  }
+
+}
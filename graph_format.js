@@ -0,0 +1,464 @@
+/***
+* Reads and writes graphs, tours and plans as text so they can be saved and loaded:
+*
+*   json    our own format, versioned:
+*             { "format": "tsp-graph", "version": 1, "name": ..., "points": [...], "arcs": [...] }
+*           A bare { points, arcs } (what bin/tsp generate used to write) reads as version 0.
+*   tsplib  TSPLIB's .tsp files (NODE_COORD_SECTION, plus an EDGE_DATA_SECTION for our
+*           sparse arcs, or EXPLICIT weights, see below) and .tour files, so the
+*           standard instances (berlin52 and friends) can be solved and compared with
+*           their published optima.
+*
+*   var format = new GraphFormat();
+*   var graph = format.read_graph(fs.readFileSync("berlin52.tsp", "utf8"));
+*   var text = format.write_graph(graph, "tsplib");
+*   var plan = format.read_tour(fs.readFileSync("berlin52.opt.tour", "utf8"), graph, "pt_0");
+*
+* TSPLIB numbers its nodes 1 to n: node i is the graph's i-th point, and the points of
+* a graph we read are called pt_0 to pt_(n-1). A .tsp without an EDGE_DATA_SECTION is
+* a complete graph. TSPLIB rounds its distances (see GraphFormat.DISTANCES), so the
+* arcs we read carry their TSPLIB length, and tour costs come out just like the
+* published ones. Rounding our own graphs' arcs would change their tour costs though,
+* so unless every arc already is its EUC_2D length we write EDGE_WEIGHT_TYPE EXPLICIT:
+* the exact lengths in an EDGE_WEIGHT_SECTION, and the points in a
+* DISPLAY_DATA_SECTION. Either way a graph read back costs the same to walk.
+*
+* Plans are saved as JSON too, with what's needed to replay and re-check them later
+* (say, after being attached to a bug report):
+*
+*   { "format": "tsp-plan", "version": 1, "graph_fingerprint": ..., "algorithm": "lk",
+*     "params": {...}, "seed": 1234, "start_point_id": "pt_0", "cost": 3052.1, "plan": [...] }
+*
+*   var text = format.write_plan(graph, { plan: plan, algorithm: "lk", params: {}, seed: rng.seed, cost: cost });
+*   var saved = format.read_plan(text, graph);
+*   harness.compute_plan_cost(graph, saved.plan);
+*
+* Anything we can't make sense of is a GraphError.
+**/
+function GraphFormat() {
+
+
+  /**
+  * Reads a graph in either format, telling them apart by the first character
+  **/
+  this.read_graph = function(text) {
+    return /^\s*\{/.test(text) ? this.from_json(text) : this.from_tsplib(text);
+  }
+
+
+  /**
+  * Writes a graph as "json" (the default) or "tsplib"
+  **/
+  this.write_graph = function(graph, format) {
+    if (format == null || format == "json") return this.to_json(graph);
+    if (format == "tsplib") return this.to_tsplib(graph);
+    throw new GraphError("Unknown graph format '" + format + "', try json or tsplib");
+  }
+
+
+  this.to_json = function(graph) {
+    var json = { format: GraphFormat.JSON_FORMAT, version: GraphFormat.VERSION };
+    if (graph.name) json.name = graph.name;
+    json.points = graph.points;
+    json.arcs = graph.arcs;
+    return JSON.stringify(json);
+  }
+
+
+  this.from_json = function(text) {
+    var json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new GraphError("Not a JSON graph! " + e.message);
+    }
+    if (json == null || typeof json != "object") throw new GraphError("Not a JSON graph!");
+
+    var version = json.version == null ? 0 : json.version;
+    if (version > 0 && json.format != GraphFormat.JSON_FORMAT) throw new GraphError("Not a graph, its format is " + json.format + "!");
+    if (version > GraphFormat.VERSION) throw new GraphError("The graph is version " + version + ", we only read up to " + GraphFormat.VERSION + "!");
+    if (!_.isArray(json.points) || !_.isArray(json.arcs)) throw new GraphError("A graph needs points and arcs!");
+
+    _(json.points).each(function(p) {
+      if (p == null || p.id == null || typeof p.x != "number" || typeof p.y != "number") {
+        throw new GraphError("Every point needs an id, x and y! " + JSON.stringify(p));
+      }
+    });
+    _(json.arcs).each(function(a) {
+      if (!_.isArray(a) || a.length < 2) throw new GraphError("Every arc needs two points! " + JSON.stringify(a));
+    });
+
+    var graph = { points: json.points, arcs: json.arcs };
+    if (json.name) graph.name = json.name;
+    return check(graph);
+  }
+
+
+  this.to_tsplib = function(graph) {
+    var number_by_id = node_numbers(graph);
+    var index = new GraphIndex(graph);
+    var n = graph.points.length;
+    var complete = graph.arcs.length == n * (n - 1) / 2;
+
+    // Would EUC_2D give every arc the length it has now?
+    var rounded = _(graph.arcs).all(function(a) {
+      var p = index.get_point(a[0]), q = index.get_point(a[1]);
+      return index.get_dist(p, q) == GraphFormat.DISTANCES.EUC_2D(p, q);
+    });
+
+    var lines = [
+      "NAME : " + (graph.name || "graph"),
+      "TYPE : TSP",
+      "COMMENT : " + n + " points, " + graph.arcs.length + " arcs",
+      "DIMENSION : " + n
+    ];
+    if (rounded) {
+      lines.push("EDGE_WEIGHT_TYPE : EUC_2D");
+    } else {
+      lines.push("EDGE_WEIGHT_TYPE : EXPLICIT", "EDGE_WEIGHT_FORMAT : FULL_MATRIX", "DISPLAY_DATA_TYPE : TWOD_DISPLAY");
+    }
+    if (!complete) lines.push("EDGE_DATA_FORMAT : EDGE_LIST");
+
+    lines.push(rounded ? "NODE_COORD_SECTION" : "DISPLAY_DATA_SECTION");
+    _(graph.points).each(function(p, i) {
+      lines.push((i + 1) + " " + p.x + " " + p.y);
+    });
+
+    // Where there's no arc the weight doesn't matter, the EDGE_DATA_SECTION leaves it out
+    if (!rounded) {
+      lines.push("EDGE_WEIGHT_SECTION");
+      _(graph.points).each(function(p) {
+        lines.push(_(graph.points).map(function(q) { return p === q ? 0 : index.get_dist(p, q); }).join(" "));
+      });
+    }
+
+    // A complete graph is what TSPLIB assumes anyway
+    if (!complete) {
+      lines.push("EDGE_DATA_SECTION");
+      _(graph.arcs).each(function(a) {
+        lines.push(number_by_id[a[0]] + " " + number_by_id[a[1]]);
+      });
+      lines.push("-1");
+    }
+
+    lines.push("EOF");
+    return lines.join("\n");
+  }
+
+
+  this.from_tsplib = function(text) {
+    var file = parse_tsplib(text);
+    var spec = file.spec;
+
+    if (spec.TYPE != null && spec.TYPE != "TSP") throw new GraphError("Can't read a TSPLIB file of type " + spec.TYPE + "!");
+    var weight_type = spec.EDGE_WEIGHT_TYPE || "EUC_2D";
+    var explicit = weight_type == "EXPLICIT";
+    var distance = GraphFormat.DISTANCES[weight_type];
+    if (distance == null && !explicit) {
+      throw new GraphError("Can't read EDGE_WEIGHT_TYPE " + weight_type + ", try one of: " + _(GraphFormat.DISTANCES).keys().concat("EXPLICIT").join(", "));
+    }
+
+    // We need somewhere to draw the points, even when the weights are given
+    var coords = file.sections.NODE_COORD_SECTION || file.sections.DISPLAY_DATA_SECTION;
+    if (coords == null) throw new GraphError("The TSPLIB file has no NODE_COORD_SECTION or DISPLAY_DATA_SECTION!");
+    if (coords.length % 3 != 0) throw new GraphError("The node coordinates should be three numbers a line!");
+
+    var points = [];
+    var point_by_number = {};
+    var row_by_number = {};     // where a node's weights are in an EDGE_WEIGHT_SECTION
+    for (var i=0; i<coords.length; i+=3) {
+      var point = { id: "pt_" + points.length, x: coords[i+1], y: coords[i+2] };
+      if (point_by_number[coords[i]]) throw new GraphError("Node " + coords[i] + " is listed twice!");
+      point_by_number[coords[i]] = point;
+      row_by_number[coords[i]] = points.length;
+      points.push(point);
+    }
+    if (spec.DIMENSION != null && parseInt(spec.DIMENSION, 10) != points.length) {
+      throw new GraphError("DIMENSION is " + spec.DIMENSION + " but there are " + points.length + " nodes!");
+    }
+
+    var weights = explicit ? explicit_weights(file.sections.EDGE_WEIGHT_SECTION, spec.EDGE_WEIGHT_FORMAT, points.length) : null;
+    var pairs = file.sections.EDGE_DATA_SECTION ? edge_pairs(file.sections.EDGE_DATA_SECTION, spec.EDGE_DATA_FORMAT) : all_pairs(points.length);
+    var arcs = _(pairs).map(function(pair) {
+      var p = point_by_number[pair[0]], q = point_by_number[pair[1]];
+      if (p == null || q == null) throw new GraphError("Edge to an unknown node! " + pair[0] + " - " + pair[1]);
+      return [p.id, q.id, explicit ? weights[row_by_number[pair[0]]][row_by_number[pair[1]]] : distance(p, q)];
+    });
+
+    var graph = { points: points, arcs: arcs };
+    if (spec.NAME) graph.name = spec.NAME;
+    return check(graph);
+  }
+
+
+  /**
+  * Writes a plan as a TSPLIB .tour: every point once, in the order the plan first
+  * gets to them
+  **/
+  this.write_tour = function(plan, graph, name) {
+    var number_by_id = node_numbers(graph);
+    var order = _(plan).chain().uniq().map(function(id) { return number_by_id[id]; }).value();
+    return [
+      "NAME : " + (name || "tour"),
+      "TYPE : TOUR",
+      "DIMENSION : " + order.length,
+      "TOUR_SECTION"
+    ].concat(order, ["-1", "EOF"]).join("\n");
+  }
+
+
+  /**
+  * Reads a TSPLIB .tour into a plan on 'graph': the tour is turned round to start at
+  * start_point_id (if given) and closed, and where two points follow each other
+  * without an arc between them we walk the shortest way along arcs instead
+  **/
+  this.read_tour = function(text, graph, start_point_id) {
+    var file = parse_tsplib(text);
+    if (file.spec.TYPE != null && file.spec.TYPE != "TOUR") throw new GraphError("Not a TSPLIB tour, its type is " + file.spec.TYPE + "!");
+    var section = file.sections.TOUR_SECTION;
+    if (section == null) throw new GraphError("The tour has no TOUR_SECTION!");
+
+    var end = _(section).indexOf(-1);
+    var ids = _(end == -1 ? section : section.slice(0, end)).map(function(number) {
+      var point = graph.points[number - 1];
+      if (point == null) throw new GraphError("The tour goes to node " + number + ", the graph only has " + graph.points.length + "!");
+      return point.id;
+    });
+    if (ids.length == 0) throw new GraphError("The tour is empty!");
+    if (_(ids).uniq().length != ids.length) throw new GraphError("The tour goes to the same node twice!");
+
+    var start = start_point_id == null ? 0 : _(ids).indexOf(start_point_id);
+    if (start == -1) throw new GraphError("The tour never goes to " + start_point_id + "!");
+    ids = ids.slice(start).concat(ids.slice(0, start), [ids[start]]);
+
+    var index = new GraphIndex(graph);
+    var plan = [ids[0]];
+    for (var i=1; i<ids.length; i++) {
+      var from = index.get_point(ids[i-1]), to = index.get_point(ids[i]);
+      var path = index.arc_exists(from.id, to.id) ? [from, to] : index.get_path_to_point(from, to);
+      plan = plan.concat(index.path_to_plan(path).slice(1));
+    }
+    return plan;
+  }
+
+
+  /**
+  * A short string that changes whenever the graph does (its points, where they are,
+  * its arcs and their lengths), so a saved plan can tell whether it's being loaded
+  * on the graph it was made for: "points:arcs:hash". The order of the points and arcs
+  * doesn't matter, and neither does whether an arc's length is given or left to be
+  * the distance between its points (as after a trip through TSPLIB, which writes
+  * every length out) - only what the length is.
+  **/
+  this.fingerprint = function(graph) {
+    var point_by_id = {};
+    _(graph.points).each(function(p) { point_by_id[p.id] = p; });
+    var points = _(graph.points).chain().map(function(p) { return p.id + "@" + p.x + "," + p.y; }).sortBy(_.identity).value();
+    var arcs = _(graph.arcs).chain().map(function(a) {
+      var ends = String(a[0]) < String(a[1]) ? [a[0], a[1]] : [a[1], a[0]];
+      var length = a.length > 2 ? a[2] : GraphIndex.euclidean(point_by_id[a[0]], point_by_id[a[1]]);
+      return ends.concat([length]).join("|");
+    }).sortBy(_.identity).value();
+    return graph.points.length + ":" + graph.arcs.length + ":" + fnv1a(points.join(";") + "/" + arcs.join(";"));
+  }
+
+
+  /**
+  * Writes a plan and how it came about. 'run' is { plan, algorithm, params, seed,
+  * start_point_id (default: where the plan starts), cost }; we fill in the graph's
+  * fingerprint. A broken plan (cost null) can be saved too, that's often the point.
+  **/
+  this.write_plan = function(graph, run) {
+    return JSON.stringify({
+      format: GraphFormat.PLAN_FORMAT,
+      version: GraphFormat.VERSION,
+      graph_fingerprint: this.fingerprint(graph),
+      algorithm: run.algorithm == null ? null : run.algorithm,
+      params: run.params || {},
+      seed: run.seed == null ? null : run.seed,
+      start_point_id: run.start_point_id || run.plan[0],
+      cost: run.cost == null ? null : run.cost,
+      plan: run.plan
+    }, null, 2);
+  }
+
+
+  /**
+  * Reads a saved plan, checking it was made for 'graph' (if given)
+  **/
+  this.read_plan = function(text, graph) {
+    var saved;
+    try {
+      saved = JSON.parse(text);
+    } catch (e) {
+      throw new GraphError("Not a saved plan! " + e.message);
+    }
+    if (!this.is_plan(saved)) throw new GraphError("Not a saved plan!");
+    if (saved.version > GraphFormat.VERSION) throw new GraphError("The plan is version " + saved.version + ", we only read up to " + GraphFormat.VERSION + "!");
+    if (!_.isArray(saved.plan)) throw new GraphError("The saved plan has no plan in it!");
+
+    if (graph) {
+      var fingerprint = this.fingerprint(graph);
+      if (saved.graph_fingerprint != fingerprint) {
+        throw new GraphError("The plan was made for another graph! Its fingerprint is " + saved.graph_fingerprint + ", this graph's is " + fingerprint);
+      }
+    }
+    return saved;
+  }
+
+
+  /**
+  * Whether 'json' (text, or already parsed) is a saved plan rather than a graph
+  **/
+  this.is_plan = function(json) {
+    if (typeof json == "string") {
+      try {
+        json = JSON.parse(json);
+      } catch (e) {
+        return false;
+      }
+    }
+    return json != null && json.format == GraphFormat.PLAN_FORMAT;
+  }
+
+
+  // Makes sure the arcs only go between points we have
+  var check = function(graph) {
+    new GraphIndex(graph);
+    return graph;
+  }
+
+
+  var node_numbers = function(graph) {
+    var number_by_id = {};
+    _(graph.points).each(function(p, i) { number_by_id[p.id] = i + 1; });
+    return number_by_id;
+  }
+
+
+  /**
+  * Splits a TSPLIB file into its specification ({ KEYWORD: value }) and its sections
+  * ({ NAME_SECTION: [every number in it] })
+  **/
+  var parse_tsplib = function(text) {
+    var spec = {};
+    var sections = {};
+    var section = null;
+
+    _(String(text).split(/\r?\n/)).detect(function(line) {
+      line = line.trim();
+      if (line == "") return false;
+      if (line == "EOF") return true;
+
+      var keyword = /^([A-Z_]+)\s*(?::\s*(.*))?$/.exec(line);
+      if (keyword && /_SECTION$/.test(keyword[1])) {
+        section = sections[keyword[1]] = [];
+      } else if (keyword) {
+        spec[keyword[1]] = (keyword[2] || "").trim();
+        section = null;
+      } else if (section) {
+        _(line.split(/\s+/)).each(function(token) {
+          var number = Number(token);
+          if (isNaN(number)) throw new GraphError("Expected a number in the TSPLIB file! " + line);
+          section.push(number);
+        });
+      } else {
+        throw new GraphError("Can't make sense of this line of the TSPLIB file! " + line);
+      }
+      return false;
+    });
+
+    return { spec: spec, sections: sections };
+  }
+
+
+  // EDGE_LIST is pairs of nodes, ADJ_LIST is a node, its neighbours and -1. Both end with -1.
+  var edge_pairs = function(numbers, format) {
+    var pairs = [];
+    var i = 0;
+    if (format == null || format == "EDGE_LIST") {
+      for (; i + 1 < numbers.length && numbers[i] != -1; i += 2) pairs.push([numbers[i], numbers[i+1]]);
+    } else if (format == "ADJ_LIST") {
+      while (i < numbers.length && numbers[i] != -1) {
+        var node = numbers[i++];
+        for (; i < numbers.length && numbers[i] != -1; i++) pairs.push([node, numbers[i]]);
+        i++;
+      }
+    } else {
+      throw new GraphError("Can't read EDGE_DATA_FORMAT " + format + "!");
+    }
+    return pairs;
+  }
+
+
+  // An EXPLICIT EDGE_WEIGHT_SECTION as an n x n matrix. Rows are the nodes in the
+  // order they're listed; apart from FULL_MATRIX each row is just one triangle of it.
+  var explicit_weights = function(numbers, format, n) {
+    var ROW_RANGES = {
+      FULL_MATRIX:    function(i) { return [0, n]; },
+      UPPER_ROW:      function(i) { return [i + 1, n]; },
+      UPPER_DIAG_ROW: function(i) { return [i, n]; },
+      LOWER_ROW:      function(i) { return [0, i]; },
+      LOWER_DIAG_ROW: function(i) { return [0, i + 1]; }
+    };
+    format = format || "FULL_MATRIX";
+    if (ROW_RANGES[format] == null) {
+      throw new GraphError("Can't read EDGE_WEIGHT_FORMAT " + format + ", try one of: " + _(ROW_RANGES).keys().join(", "));
+    }
+    if (numbers == null) throw new GraphError("EDGE_WEIGHT_TYPE is EXPLICIT but there's no EDGE_WEIGHT_SECTION!");
+
+    var matrix = _(_.range(n)).map(function() { return []; });
+    var k = 0;
+    for (var i=0; i<n; i++) {
+      var range = ROW_RANGES[format](i);
+      for (var j=range[0]; j<range[1]; j++) {
+        if (k >= numbers.length) throw new GraphError("EDGE_WEIGHT_SECTION is too short for " + n + " nodes!");
+        matrix[i][j] = numbers[k++];
+        if (format != "FULL_MATRIX") matrix[j][i] = matrix[i][j];
+      }
+    }
+    return matrix;
+  }
+
+
+  // 32 bit FNV-1a of a string, as 8 hex digits
+  var fnv1a = function(text) {
+    var hash = 0x811c9dc5;
+    for (var i=0; i<text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ("0000000" + hash.toString(16)).slice(-8);
+  }
+
+
+  var all_pairs = function(n) {
+    var pairs = [];
+    for (var i=1; i<=n; i++) {
+      for (var j=i+1; j<=n; j++) pairs.push([i, j]);
+    }
+    return pairs;
+  }
+
+}
+
+
+GraphFormat.JSON_FORMAT = "tsp-graph";
+GraphFormat.PLAN_FORMAT = "tsp-plan";
+GraphFormat.VERSION = 1;
+
+
+// How TSPLIB measures an edge, by EDGE_WEIGHT_TYPE ("nint" is round to nearest)
+GraphFormat.DISTANCES = {
+  EUC_2D: function(p, q) {
+    return Math.round(GraphIndex.euclidean(p, q));
+  },
+  CEIL_2D: function(p, q) {
+    return Math.ceil(GraphIndex.euclidean(p, q));
+  },
+  ATT: function(p, q) {
+    var r = GraphIndex.euclidean(p, q) / Math.sqrt(10);
+    var t = Math.round(r);
+    return t < r ? t + 1 : t;
+  }
+};
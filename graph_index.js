@@ -0,0 +1,195 @@
+/***
+* The graph, as given, isn't very friendly for processing. The GraphIndex extracts
+* points and arcs once so that everybody (salesmen, harness, renderer) can do
+* super-fast look ups:
+*   - point by id in O(1)
+*   - adjacency lists for every point
+*   - arc existence in O(1)
+*   - cached arc lengths
+*   - exact shortest paths along arcs (Dijkstra, optionally precomputed all-pairs)
+*
+* Arcs are normally [point1_id, point2_id] and are as long as the straight line
+* between their points. An arc may carry its own length as a third element
+* (e.g. the arcs of a MetricClosure).
+**/
+function GraphIndex(graph) {
+
+  var self = this;
+
+  this.graph = graph;
+  this.points_by_id = {};
+  this.connected_points_by_id = {};
+  this.arc_lengths = {};
+  this.point_count = 0;
+
+
+  var arc_key = function(point1_id, point2_id) {
+    return point1_id + "|" + point2_id;
+  }
+
+
+  this.get_point = function(point_id) {
+    return this.points_by_id[point_id];
+  }
+
+
+  /**
+  * Returns a copy of the points directly connected to the given point, so callers
+  * may mutate it freely
+  **/
+  this.get_surrounding_points = function(point_id) {
+    return _.clone(this.connected_points_by_id[point_id] || []);
+  }
+
+
+  this.arc_exists = function(point1_id, point2_id) {
+    return this.arc_lengths.hasOwnProperty(arc_key(point1_id, point2_id));
+  }
+
+
+  /**
+  * Length of the arc between two points, or the straight line distance if there
+  * isn't one.
+  **/
+  this.get_dist = function(point1, point2) {
+    var cached = this.arc_lengths[arc_key(point1.id, point2.id)];
+    if (cached != null) return cached;
+    return GraphIndex.euclidean(point1, point2);
+  }
+
+
+  /**
+  * Dijkstra from source_id. Returns { dist: {id: length}, prev: {id: previous id} }
+  * for every reachable point. If target_id is given, we stop as soon as it's settled.
+  **/
+  this.get_shortest_paths_from = function(source_id, target_id) {
+    var dist = {};
+    var prev = {};
+    var settled = {};
+    var heap = new MinHeap();
+
+    dist[source_id] = 0;
+    heap.push(source_id, 0);
+
+    while (heap.size() > 0) {
+      var this_dist = heap.peek_priority();
+      var point_id = heap.pop();
+      if (settled[point_id]) continue;
+      settled[point_id] = true;
+      if (point_id == target_id) break;
+
+      var this_point = self.points_by_id[point_id];
+      _(self.connected_points_by_id[point_id]).each(function(p) {
+        if (settled[p.id]) return;
+        var new_dist = this_dist + self.get_dist(this_point, p);
+        if (dist[p.id] == null || new_dist < dist[p.id]) {
+          dist[p.id] = new_dist;
+          prev[p.id] = point_id;
+          heap.push(p.id, new_dist);
+        }
+      });
+    }
+
+    return { dist: dist, prev: prev };
+  }
+
+
+  /**
+  * Runs Dijkstra from every point and keeps the results, so every later shortest
+  * path query is a table look up. That's O(n^2) memory, so by default we only do it
+  * for graphs up to ALL_PAIRS_MAX_POINTS. Returns whether the table is available.
+  **/
+  this.precompute_all_pairs = function(max_points) {
+    if (max_points == null) max_points = GraphIndex.ALL_PAIRS_MAX_POINTS;
+    if (this.all_pairs) return true;
+    if (this.point_count > max_points) return false;
+
+    var all_pairs = {};
+    _(graph.points).each(function(p) {
+      all_pairs[p.id] = self.get_shortest_paths_from(p.id);
+    });
+    this.all_pairs = all_pairs;
+    return true;
+  }
+
+
+  /**
+  * Length of the shortest walk along arcs between two points (Infinity if there isn't one)
+  **/
+  this.get_shortest_distance = function(start_point, end_point) {
+    if (start_point.id == end_point.id) return 0;
+    var tree = this.all_pairs ? this.all_pairs[start_point.id] : this.get_shortest_paths_from(start_point.id, end_point.id);
+    var dist = tree.dist[end_point.id];
+    return dist == null ? Number.POSITIVE_INFINITY : dist;
+  }
+
+
+  /**
+  * The shortest walk along arcs from start_point to end_point, as an array of points
+  * which includes both ends.
+  **/
+  this.get_path_to_point = function(start_point, end_point) {
+    var tree = this.all_pairs ? this.all_pairs[start_point.id] : this.get_shortest_paths_from(start_point.id, end_point.id);
+
+    // A path doesn't exist
+    if (start_point.id != end_point.id && tree.prev[end_point.id] == null)
+      throw new NoPathError("Could not compute path from start_point to end_point! " + start_point.id + " -> " + end_point.id,
+                            start_point.id, end_point.id);
+
+    // Follow the breadcrumbs back to the start
+    var path = [end_point];
+    var point_id = end_point.id;
+    while (point_id != start_point.id) {
+      point_id = tree.prev[point_id];
+      path.push(this.points_by_id[point_id]);
+    }
+    return path.reverse();
+  }
+
+
+  /**
+  * Turns a walk of point objects into a plan: just the ids, with any sequential
+  * identicals removed
+  **/
+  this.path_to_plan = function(path) {
+    var ids = _(path).map(function(p) {
+      return p.id;
+    });
+    var plan = ids.length > 0 ? [ids[0]] : [];
+    for(var i=1;i<ids.length;i++) {
+      if (ids[i] != ids[i-1]) plan.push(ids[i]);
+    }
+    return plan;
+  }
+
+
+  // Build the index
+  _(graph.points).each(function(p) {
+    self.points_by_id[p.id] = p;
+    self.connected_points_by_id[p.id] = [];
+    self.point_count++;
+  });
+
+  _(graph.arcs).each(function(a) {
+    var point1 = self.get_point(a[0]);
+    var point2 = self.get_point(a[1]);
+    if (point1 == null || point2 == null) throw new GraphError("Arc references an unknown point! " + a[0] + " -> " + a[1]);
+    if (self.arc_exists(a[0], a[1])) return;
+
+    var length = a.length > 2 ? a[2] : GraphIndex.euclidean(point1, point2);
+    self.arc_lengths[arc_key(a[0], a[1])] = length;
+    self.arc_lengths[arc_key(a[1], a[0])] = length;
+    self.connected_points_by_id[a[0]].push(point2);
+    self.connected_points_by_id[a[1]].push(point1);
+  });
+
+}
+
+
+// Biggest graph for which precompute_all_pairs() will build the full table by default
+GraphIndex.ALL_PAIRS_MAX_POINTS = 300;
+
+
+GraphIndex.euclidean = function(point1, point2) {
+  return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
+}
@@ -5,83 +5,348 @@
 **/
 function Harness() {
   
+  /**
+  * Returns a GraphIndex for the graph, reusing the last one if it's the same graph
+  **/
+  this.get_index = function(graph) {
+    if (this.index == null || this.index.graph !== graph) {
+      this.index = new GraphIndex(graph);
+    }
+    return this.index;
+  }
+  
+  
   this.get_dist = function(point1, point2) {
-    return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
+    return GraphIndex.euclidean(point1, point2);
   }
   
   
   this.get_point = function(point_id, graph) {
-    // This is inefficient. Is there a faster way? 
-    return _(graph.points).detect(function(p) {
-      return(p.id == point_id)
-    })
+    return this.get_index(graph).get_point(point_id);
   }
   
   
   this.arc_exists = function(point1, point2, graph) {
-    // This is pretty inefficient too, given the calling context. Better way?
-    return _(graph.arcs).detect(function(a) {
-      return (a[0] == point1.id && a[1] == point2.id) || (a[1] == point1.id && a[0] == point2.id);
-    })
+    return this.get_index(graph).arc_exists(point1.id, point2.id);
   }
   
   
+  /**
+  * Everything that's wrong with a plan (see PlanValidator for the report). Pass
+  * start_point_id to also check that the plan starts there.
+  **/
+  this.validate_plan = function(graph, plan, start_point_id) {
+    return new PlanValidator(graph, this.get_index(graph)).validate(plan, start_point_id);
+  }
+  
+  
+  /**
+  * The total distance travelled by the salesman. Throws an InvalidPlanError, carrying
+  * the full validation report, if the plan breaks any rules.
+  **/
   this.compute_plan_cost = function(graph, plan) {
+    var report = this.validate_plan(graph, plan);
+    if (!report.valid) throw new InvalidPlanError(report.violations[0].message, report);
+    return report.cost;
+  }
+  
+  
+  /**
+  * Re-checks a saved plan (see GraphFormat.read_plan) against the graph: its
+  * PlanValidator report, plus the cost it was saved with and whether that still holds
+  **/
+  this.verify_plan = function(graph, saved) {
+    var report = this.validate_plan(graph, saved.plan, saved.start_point_id);
+    report.saved_cost = saved.cost;
+    report.cost_matches = report.valid ? saved.cost != null && Math.abs(report.cost - saved.cost) <= 1e-9 * Math.max(1, report.cost)
+                                       : saved.cost == null;
+    return report;
+  }
+  
+  
+  /**
+  * Runs a salesman and returns its plan. options:
+  *   time_budget: milliseconds the salesman gets (default MAX_TIME)
+  *   on_progress: called with every progress report the salesman makes
+  *   best_so_far: if the salesman throws after reporting plans, return the cheapest
+  *                of those instead of rethrowing (default false)
+  * The salesman learns about its budget through the SolverContext it's handed. If it
+  * overruns anyway we don't throw, we return the cheapest plan it reported before the
+  * deadline (or its late plan, if it never reported one in time). Plans that break
+  * the rules never win; if that's all it came up with we throw the InvalidPlanError
+  * of the last one. Either way the run is summed up in this.last_run:
+  *   { time, time_budget, over_budget, time_to_first_solution, time_to_best, reports,
+  *     error, partial, invalid_plan }
+  * where error is whatever the salesman threw, or the InvalidPlanError (or null),
+  * partial is true when the plan returned is only the best it reported before it
+  * threw, and invalid_plan is the broken plan if that's all there was, for showing
+  * what's wrong with it.
+  **/
+  this.run_algorithm = function(graph, start_point_id, algo, options) {
+    
+    options = options || {};
+    var self = this;
+    
+    // Sanity check..
+    if (algo == null) throw new SolverError("No algorithm given!")
+    if (algo.compute_plan == null) throw new SolverError("You must implement algo.compute_plan(...)!")
+    
+    // How long do we give it?
+    var MAX_TIME = 10*1000;  // 10 seconds  (3 seconds is way too long, but some machines are slow.
+                             // Bonus: blow us away with your solution and we'll get you a screaming
+                             // fast machine. 
+    var time_budget = options.time_budget == null ? MAX_TIME : options.time_budget;
+    var context = new SolverContext({ time_budget: time_budget, on_progress: options.on_progress });
+    
+    // Run the algorithm...
+    var plan = null, error = null;
+    var start_time = new Date();
+    try {
+      plan = algo.compute_plan(graph, start_point_id, context);
+    } catch (e) {
+      error = e;
+    }
+    var end_time = new Date();
+    var time = end_time - start_time;
+    
+    this.last_run = {
+      time: time,
+      time_budget: time_budget,
+      over_budget: time > time_budget,
+      time_to_first_solution: null,
+      time_to_best: null,
+      reports: context.reports.length,
+      error: error,
+      partial: false,
+      invalid_plan: null
+    };
+    
+    // Everything it came up with, and when. Plans are often reported more than once.
+    var candidates = _(context.reports).filter(function(r) { return r.plan != null; });
+    if (plan != null) candidates.push({ plan: plan, time: time });
+    if (candidates.length == 0) throw error || new SolverError("The salesman didn't come up with a plan!");
+    if (error != null && !options.best_so_far) throw error;
     
-    // Init
-    visited = {}
-    running_length = 0
-    start_time = new Date();
-    last_point = null;
-    
-    // Visit each point sequentially, add up the total distance travelled by the salesman...
-    for(var i=0; i<plan.length; i++) {
-      
-      point_id = plan[i];
-      point = this.get_point(point_id, graph);
-      if (point == null) throw "Unknown point!"
-      if (i == plan.length-1 && point_id != plan[0]) throw "The salesman must return to the starting point!"
-      
-      if (last_point) {
-        running_length += this.get_dist(last_point, point);
-        if (!this.arc_exists(point, last_point, graph)) throw "Tried to traverse a non-existing arc! " + last_point.id + " -> " + point.id
+    var costs = [];
+    _(candidates).each(function(c) {
+      var known = _(costs).detect(function(k) { return k.plan === c.plan; });
+      if (known) {
+        c.cost = known.cost;
+        c.error = known.error;
+        return;
       }
-      
-      last_point = point;
-      visited[point_id] = true 
+      try {
+        c.cost = self.compute_plan_cost(graph, c.plan);
+      } catch (e) {
+        c.cost = Number.POSITIVE_INFINITY;   // not a valid plan
+        c.error = e;
+      }
+      costs.push(c);
+    });
+    
+    var valid = _(candidates).filter(function(c) { return c.cost < Number.POSITIVE_INFINITY; });
+    if (valid.length == 0) {
+      var invalid = _(candidates).last();
+      this.last_run.invalid_plan = invalid.plan;
+      this.last_run.error = error || invalid.error;
+      throw this.last_run.error;
     }
     
-    // Have we visited all points in the graph? 
-    _(graph.points).each(function(p) {
-      if (!visited[p.id]) throw "Not all points have been visited! " + p.id
-    })
+    // Stick to what it had by the deadline, unless it had nothing by then
+    var in_time = _(valid).filter(function(c) { return c.time <= time_budget; });
+    var usable = in_time.length > 0 ? in_time : valid;
+    var best = _(usable).min(function(c) { return c.cost; });
+    var first_best = _(usable).detect(function(c) { return c.cost == best.cost; });
+    
+    this.last_run.time_to_first_solution = valid[0].time;
+    this.last_run.time_to_best = first_best.time;
+    this.last_run.partial = error != null;
     
-    return running_length;
+    return best.plan;
   }
   
   
-  this.run_algorithm = function(graph, start_point_id, algo) {
+  /**
+  * Runs a salesman in a Web Worker (see solver_worker.js) so the page stays responsive.
+  * 'algorithm' is the salesman's registered name, e.g. "ant" (see SalesmanRegistry),
+  * and 'options' its params; its SeededRandom is built from 'seed'. Callbacks:
+  *   on_progress({ iteration, iterations, cost, best_cost, best_plan })
+  *   on_done({ plan, cost, cancelled })
+  *   on_error(message)
+  * and callbacks.time_budget, if set, is passed on to run_algorithm.
+  * Returns a handle whose cancel() stops the run; on_done then gets the cheapest plan
+  * reported so far (or none at all if there wasn't one yet).
+  *
+  * Where workers aren't available (e.g. some browsers on file:// urls) we just run the
+  * salesman right here, and cancel() has nothing left to do.
+  **/
+  this.run_algorithm_in_worker = function(graph, start_point_id, algorithm, options, seed, callbacks) {
+    var self = this;
+    var best = null;
+    var finished = false;
+    var worker;
     
-    // Sanity check..
-    if (algo == null) throw "No algorithm given!"
-    if (algo.compute_plan == null) throw "You must implement algo.compute_plan(...)!"
+    var finish = function(result) {
+      if (finished) return;
+      finished = true;
+      if (worker) worker.terminate();
+      if (callbacks.on_done) callbacks.on_done(result);
+    }
+    var fail = function(message) {
+      if (finished) return;
+      finished = true;
+      if (worker) worker.terminate();
+      if (callbacks.on_error) callbacks.on_error(message);
+    }
+    var progress = function(p) {
+      if (best == null || p.best_cost < best.cost) best = { plan: p.best_plan, cost: p.best_cost };
+      if (callbacks.on_progress) callbacks.on_progress(p);
+    }
+    var handle = {
+      cancel: function() {
+        finish({ plan: best && best.plan, cost: best && best.cost, cancelled: true });
+      }
+    };
+    
+    try {
+      worker = new Worker(Harness.WORKER_URL);
+    } catch (e) {
+      worker = null;
+    }
     
+    if (worker == null) {
+      try {
+        var salesman = SalesmanRegistry.salesmen.create(algorithm, new SeededRandom(seed), options);
+        var plan = this.run_algorithm(graph, start_point_id, salesman, {
+          time_budget: callbacks.time_budget,
+          on_progress: function(p) {
+            progress(_.extend({}, p, { best_cost: self.compute_plan_cost(graph, p.best_plan) }));
+          }
+        });
+        finish({ plan: plan, cost: this.compute_plan_cost(graph, plan), cancelled: false });
+      } catch (e) {
+        fail(String(e && e.message ? e.message : e));
+      }
+      return handle;
+    }
     
-    // Run the algorithm...
-    var start_time = new Date();
-    var plan = algo.compute_plan(graph, start_point_id);
-    var end_time = new Date();
+    worker.onmessage = function(event) {
+      var message = event.data;
+      if (message.type == "progress") progress(message.progress);
+      if (message.type == "done") finish({ plan: message.plan, cost: message.cost, cancelled: false });
+      if (message.type == "error") fail(message.message);
+    }
+    worker.onerror = function(event) {
+      fail(event.message);
+    }
+    worker.postMessage({
+      algorithm: algorithm,
+      options: options,
+      seed: seed,
+      graph: graph,
+      start_point_id: start_point_id,
+      time_budget: callbacks.time_budget
+    });
     
-    // Make sure it's reasonably fast, and then compute the total length
-    var MAX_TIME = 10*1000;  // 10 seconds  (3 seconds is way too long, but some machines are slow.
-                             // Bonus: blow us away with your solution and we'll get you a screaming
-                             // fast machine. 
-    // if (end_time - start_time > MAX_TIME) throw "Your algorithm took too long to run!";
+    return handle;
+  }
+  
+  
+  /**
+  * compute_lower_bound in a Web Worker, since on a big graph it takes seconds. Calls
+  * callbacks.on_done(bound) or callbacks.on_error(message), and remembers the bound
+  * like compute_lower_bound does, so percent_above_bound is quick from then on.
+  * Returns a handle whose cancel() stops it; neither callback is called after that.
+  * Without workers it's worked out right here.
+  **/
+  this.compute_lower_bound_in_worker = function(graph, callbacks) {
+    var self = this;
+    var finished = false;
+    var worker;
+    
+    var finish = function(callback, value) {
+      if (finished) return;
+      finished = true;
+      if (worker) worker.terminate();
+      if (callback) callback(value);
+    }
+    var handle = {
+      cancel: function() { finish(null); }
+    };
+    
+    var known = this.lower_bound != null && this.lower_bound.graph === graph;
+    try {
+      worker = known ? null : new Worker(Harness.WORKER_URL);
+    } catch (e) {
+      worker = null;
+    }
     
-    return plan
+    if (worker == null) {
+      try {
+        var bound = this.compute_lower_bound(graph);
+      } catch (e) {
+        finish(callbacks.on_error, String(e && e.message ? e.message : e));
+        return handle;
+      }
+      finish(callbacks.on_done, bound);
+      return handle;
+    }
+    
+    worker.onmessage = function(event) {
+      var message = event.data;
+      if (message.type == "done") {
+        self.lower_bound = { graph: graph, bound: message.bound };
+        finish(callbacks.on_done, message.bound);
+      }
+      if (message.type == "error") finish(callbacks.on_error, message.message);
+    }
+    worker.onerror = function(event) {
+      finish(callbacks.on_error, event.message);
+    }
+    worker.postMessage({ lower_bound: true, graph: graph });
+    
+    return handle;
+  }
+  
+  
+  /**
+  * A lower bound on the cost of any valid plan for the graph (see HeldKarpBound).
+  * It's not cheap, so we remember it for the last graph we were asked about.
+  **/
+  this.compute_lower_bound = function(graph) {
+    if (this.lower_bound == null || this.lower_bound.graph !== graph) {
+      this.lower_bound = { graph: graph, bound: new HeldKarpBound().compute(graph).bound };
+    }
+    return this.lower_bound.bound;
+  }
+  
+  
+  /**
+  * How far a plan's cost is above the graph's lower bound, in percent. null if the
+  * bound is 0 (fewer than 2 points), since then there's nothing to compare against.
+  **/
+  this.percent_above_bound = function(graph, cost) {
+    var bound = this.compute_lower_bound(graph);
+    if (!(bound > 0)) return null;
+    return 100 * (cost - bound) / bound;
+  }
+  
+  
+  /**
+  * Runs a post-optimizer (e.g. LocalSearch) over a plan and reports what it bought us:
+  * { plan: improved plan, before: old cost, after: new cost }
+  **/
+  this.improve_plan = function(graph, plan, optimizer) {
+    var before = this.compute_plan_cost(graph, plan);
+    var improved_plan = optimizer.optimize(graph, plan);
+    var after = this.compute_plan_cost(graph, improved_plan);
+    return { plan: improved_plan, before: before, after: after };
   }
   
   
   
 }
 
+
+// Where run_algorithm_in_worker finds its worker script, relative to the page
+Harness.WORKER_URL = "solver_worker.js";
@@ -0,0 +1,147 @@
+/***
+* Computes a lower bound on the length of the shortest closed walk, so we can say
+* how good a tour is even when the graph is too big for ExactSalesman.
+*
+* We use the Held-Karp bound on the metric closure (see MetricClosure). A minimum
+* 1-tree (a spanning tree on all points but one, plus the two cheapest arcs from that
+* one) is never longer than the best tour. Every point of a tour has degree 2, so we
+* add a penalty pi[i] to all arcs at point i, nudge the penalties (subgradient
+* optimization) towards the points whose degree in the 1-tree isn't 2, and keep the
+* best bound 1-tree length - 2 * sum(pi) we see along the way.
+*
+* options:
+*   max_iterations: subgradient steps to take (default 1000)
+*   time_limit:     stop stepping after this many milliseconds, with the best bound
+*                   so far (default: no limit)
+*   upper_bound:    length of any known tour, used to size the steps (default: a
+*                   nearest neighbour tour)
+**/
+function HeldKarpBound(options) {
+
+  options = _.defaults({}, options, {
+    max_iterations: 1000
+  });
+
+  var EPSILON = 1e-9;
+  var MIN_STEP_SCALE = 1e-6;    // give up once the steps have shrunk this far
+
+  this.options = options;
+
+
+  /**
+  * Returns { bound: the lower bound, iterations: subgradient steps taken, pi: the
+  * penalties that gave the bound }. Any tour's length plus twice the penalties on
+  * its points is at least as long as the minimum 1-tree with those penalties, which
+  * is what lets ExactSalesman reuse pi to bound partial tours.
+  **/
+  this.compute = function(graph, closure) {
+    closure = closure || new MetricClosure(graph);
+    return this.compute_for_matrix(closure.get_distance_matrix().matrix);
+  }
+
+
+  /**
+  * The same, for a tour through every city of a distance matrix
+  **/
+  this.compute_for_matrix = function(matrix) {
+    var n = matrix.length;
+
+    if (n < 2) return { bound: 0, iterations: 0, pi: new Float64Array(n) };
+    if (n == 2) return { bound: 2 * matrix[0][1], iterations: 0, pi: new Float64Array(n) };
+
+    var upper_bound = options.upper_bound || MetricClosure.tour_length(MetricClosure.nearest_neighbour_tour(matrix, 0), matrix);
+    var pi = new Float64Array(n);
+    var best_pi = new Float64Array(n);
+    var best_bound = Number.NEGATIVE_INFINITY;
+    var step_scale = 2;
+    var stale = 0;
+    var start_time = new Date();
+    var iteration;
+
+    for (iteration=0; iteration<options.max_iterations; iteration++) {
+      if (iteration > 0 && options.time_limit != null && new Date() - start_time > options.time_limit) break;
+      var tree = minimum_one_tree(matrix, pi);
+
+      var pi_sum = 0;
+      for (var i=0; i<n; i++) pi_sum += pi[i];
+      var bound = tree.length - 2 * pi_sum;
+
+      if (bound > best_bound + EPSILON) {
+        best_bound = bound;
+        best_pi.set(pi);
+        stale = 0;
+      } else if (++stale > n / 2) {
+        // We've stopped getting anywhere, so take smaller steps
+        step_scale /= 2;
+        stale = 0;
+        if (step_scale < MIN_STEP_SCALE) break;
+      }
+
+      // Subgradient: how far each point's degree is from 2
+      var norm = 0;
+      for (var i=0; i<n; i++) norm += Math.pow(tree.degree[i] - 2, 2);
+      if (norm == 0) break;   // the 1-tree is a tour, so the bound is exact
+
+      var step = step_scale * (upper_bound - bound) / norm;
+      for (var i=0; i<n; i++) pi[i] += step * (tree.degree[i] - 2);
+    }
+
+    return { bound: best_bound, iterations: iteration, pi: best_pi };
+  }
+
+
+  // Prim's over points 1..n-1 with penalized arcs, then the two cheapest arcs from
+  // point 0. Returns { length, degree }.
+  var minimum_one_tree = function(matrix, pi) {
+    var n = matrix.length;
+    var degree = new Int32Array(n);
+    var in_tree = new Uint8Array(n);
+    var cheapest = new Float64Array(n);
+    var cheapest_from = new Int32Array(n);
+    var length = 0;
+
+    var cost = function(i, j) { return matrix[i][j] + pi[i] + pi[j]; };
+
+    for (var i=1; i<n; i++) {
+      cheapest[i] = cost(1, i);
+      cheapest_from[i] = 1;
+    }
+    in_tree[1] = 1;
+
+    for (var added=1; added<n-1; added++) {
+      var next = -1;
+      for (var i=2; i<n; i++) {
+        if (!in_tree[i] && (next < 0 || cheapest[i] < cheapest[next])) next = i;
+      }
+      in_tree[next] = 1;
+      length += cheapest[next];
+      degree[next]++;
+      degree[cheapest_from[next]]++;
+
+      for (var i=2; i<n; i++) {
+        if (!in_tree[i] && cost(next, i) < cheapest[i]) {
+          cheapest[i] = cost(next, i);
+          cheapest_from[i] = next;
+        }
+      }
+    }
+
+    // Hook point 0 in by its two cheapest arcs
+    var first = -1, second = -1;
+    for (var i=1; i<n; i++) {
+      if (first < 0 || cost(0, i) < cost(0, first)) {
+        second = first;
+        first = i;
+      } else if (second < 0 || cost(0, i) < cost(0, second)) {
+        second = i;
+      }
+    }
+    length += cost(0, first) + cost(0, second);
+    degree[0] = 2;
+    degree[first]++;
+    degree[second]++;
+
+    return { length: length, degree: degree };
+  }
+
+}
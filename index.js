@@ -0,0 +1,76 @@
+/***
+* Lets Node load the TSP code. The salesmen, harness and friends are plain browser
+* scripts that define global constructors, so rather than rewrite them all we run
+* them (in tsp.html's order) inside one sandboxed context, just like the page does,
+* and hand back the constructors:
+*
+*   var tsp = require("./index");
+*   var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(7)).build_graph();
+*   var plan = new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.QuickSalesman());
+*
+* renderer.js is left out, it needs a browser.
+**/
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var SCRIPTS = [
+  "vendor/underscore.js",
+  "tsp_errors.js",
+  "seeded_random.js",
+  "min_heap.js",
+  "graph_index.js",
+  "metric_closure.js",
+  "local_search.js",
+  "held_karp_bound.js",
+  "solver_context.js",
+  "plan_validator.js",
+  "harness.js",
+  "salesman_registry.js",
+  "random_graph_builder.js",
+  "graph_format.js",
+  "benchmark.js",
+  "ant_tuner.js",
+  "greedy_salesman.js",
+  "quick_salesman.js",
+  "sequential_salesman.js",
+  "closure_salesman.js",
+  "ant_salesman.js",
+  "acs_salesman.js",
+  "ant_colony_strategies.js",
+  "ant_colony.js",
+  "lk_salesman.js",
+  "exact_salesman.js"
+];
+
+var EXPORTS = [
+  "TspError", "InvalidPlanError", "GraphError", "NoPathError", "SolverError", "is_tsp_error",
+  "SeededRandom", "MinHeap", "GraphIndex", "MetricClosure", "LocalSearch", "HeldKarpBound",
+  "SolverContext", "PlanValidator", "Harness", "SalesmanRegistry", "RandomGraphBuilder", "GraphFormat",
+  "Benchmark", "AntTuner",
+  "GreedySalesman", "QuickSalesman", "SequentialSalesman", "ClosureSalesman",
+  "AntSalesman", "AcsSalesman", "MaxMinStrategy", "ElitistStrategy", "RankBasedStrategy", "AntColony",
+  "LKSalesman", "ExactSalesman"
+];
+
+
+function load() {
+  var context = vm.createContext({ console: console });
+  context.window = context;
+
+  SCRIPTS.forEach(function(script) {
+    var file = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+  });
+
+  var tsp = { _: context._ };
+  EXPORTS.forEach(function(name) {
+    tsp[name] = context[name];
+  });
+  return tsp;
+}
+
+
+module.exports = load();
+module.exports.load = load;
+module.exports.SCRIPTS = SCRIPTS;
@@ -0,0 +1,217 @@
+/***
+* A Lin-Kernighan style salesman, meant as a strong reference to measure the other
+* salesmen against. It works on the metric closure of the graph (see MetricClosure),
+* so it can treat the problem as a plain complete-graph TSP:
+*
+*   1. build a nearest neighbour tour
+*   2. improve it with variable-depth LK moves: starting from a tour arc (t1, t2), we
+*      keep trading an arc for a shorter one (each step is a 2-opt flip) for as long
+*      as the running gain stays positive, and then keep the best prefix of the chain
+*   3. 'kick' the tour with a random double-bridge move and run LK again, keeping the
+*      result whenever it's shorter (iterated / chained LK)
+*
+* options:
+*   rng:        a SeededRandom for the kicks
+*   neighbours: how many nearest neighbours to consider for each new arc (default 8)
+*   max_depth:  longest chain of flips in one LK move (default 50)
+*   kicks:      number of double-bridge kicks (default: the number of points)
+*   time_limit: stop kicking after this many milliseconds (default 5000)
+**/
+function LKSalesman(options) {
+
+  options = _.defaults({}, options, {
+    neighbours: 8,
+    max_depth: 50,
+    kicks: null,
+    time_limit: 5000
+  });
+
+  var EPSILON = 1e-9;
+
+  this.options = options;
+  this.rng = options.rng || new SeededRandom();
+
+
+  /**
+  * Reports the best tour after every kick, and stops kicking once the context has
+  * expired (or time_limit is up, whichever comes first).
+  **/
+  this.compute_plan = function(graph, start_point_id, context) {
+
+    this.closure = new MetricClosure(graph);
+    var m = this.closure.get_distance_matrix();
+    var matrix = m.matrix;
+    var n = m.ids.length;
+    var start_time = new Date();
+    var kicks = options.kicks == null ? n : options.kicks;
+
+    // Start greedily, then let LK do the real work
+    var tour = MetricClosure.nearest_neighbour_tour(matrix, m.position_by_id[start_point_id]);
+    var neighbours = MetricClosure.neighbour_lists(matrix, options.neighbours);
+    this.lin_kernighan(tour, matrix, neighbours);
+    var best_tour = tour.slice();
+    var best_length = MetricClosure.tour_length(tour, matrix);
+    var best_plan = null;
+
+    // Chained LK: kick, re-optimize, keep it if it's better
+    for (var kick=0; kick<kicks && n >= 8; kick++) {
+      if (new Date() - start_time > options.time_limit) break;
+      if (context && context.expired()) break;
+
+      tour = this.double_bridge(best_tour);
+      this.lin_kernighan(tour, matrix, neighbours);
+      var length = MetricClosure.tour_length(tour, matrix);
+      if (length < best_length - EPSILON) {
+        best_tour = tour.slice();
+        best_length = length;
+        best_plan = null;
+      }
+
+      if (context) {
+        best_plan = best_plan || this.closure.positions_to_plan(best_tour, start_point_id);
+        context.on_progress({ iteration: kick + 1, iterations: kicks, cost: length, best_cost: best_length, best_plan: best_plan });
+      }
+    }
+
+    return best_plan || this.closure.positions_to_plan(best_tour, start_point_id);
+  }
+
+
+  /**
+  * Improves the tour in place until no LK move from any point finds a gain
+  **/
+  this.lin_kernighan = function(tour, matrix, neighbours) {
+    var n = tour.length;
+    if (n < 5) return tour;
+
+    var position = new Array(n);
+    _(tour).each(function(city, i) { position[city] = i; });
+
+    var improved = true;
+    while (improved) {
+      improved = false;
+      for (var t1=0; t1<n; t1++) {
+        if (lk_move(t1, tour, position, matrix, neighbours)) improved = true;
+      }
+    }
+    return tour;
+  }
+
+
+  /**
+  * Random double-bridge move: cut the tour into A B C D and glue it back as A C B D.
+  * This is the classic kick, since LK's flips can't easily undo it.
+  **/
+  this.double_bridge = function(tour) {
+    var n = tour.length;
+    var cuts = _([1 + this.rng.random_int(n - 3), 1 + this.rng.random_int(n - 3), 1 + this.rng.random_int(n - 3)]).sortBy(_.identity);
+    if (cuts[0] == cuts[1]) cuts[1]++;
+    if (cuts[1] >= cuts[2]) cuts[2] = cuts[1] + 1;
+    if (cuts[2] >= n) return tour.slice();
+
+    var a = tour.slice(0, cuts[0]);
+    var b = tour.slice(cuts[0], cuts[1]);
+    var c = tour.slice(cuts[1], cuts[2]);
+    var d = tour.slice(cuts[2]);
+    return a.concat(c, b, d);
+  }
+
+
+  // One variable-depth move starting from the arc (t1, succ(t1)). Returns whether the
+  // tour got shorter.
+  var lk_move = function(t1, tour, position, matrix, neighbours) {
+    var n = tour.length;
+    var succ = function(city) { return tour[(position[city] + 1) % n]; };
+    var pred = function(city) { return tour[(position[city] - 1 + n) % n]; };
+
+    var t2 = succ(t1);
+    var gain = matrix[t1][t2];     // arcs removed minus arcs added, not counting the closing arc
+    var best_gain = EPSILON;
+    var best_step = 0;
+    var flips = [];
+    var added = {};
+    var removed = {};
+    removed[edge_key(t1, t2)] = true;
+
+    for (var step=1; step<=options.max_depth; step++) {
+
+      // Find the best t3: a close neighbour of t2 that keeps the running gain positive
+      var best_t3 = null, best_t4 = null, best_score = Number.NEGATIVE_INFINITY;
+      _(neighbours[t2]).each(function(t3) {
+        if (t3 == t1 || t3 == succ(t2) || t3 == pred(t2)) return;
+        var partial = gain - matrix[t2][t3];
+        if (partial <= EPSILON) return;
+        if (removed[edge_key(t2, t3)]) return;
+
+        var t4 = pred(t3);
+        if (t4 == t2 || added[edge_key(t3, t4)]) return;
+
+        var score = matrix[t3][t4] - matrix[t2][t3];
+        if (score > best_score) {
+          best_score = score;
+          best_t3 = t3;
+          best_t4 = t4;
+        }
+      });
+      if (best_t3 == null) break;
+
+      // Add (t2, t3), remove (t4, t3). Reversing t2..t4 closes the tour with (t1, t4).
+      gain += best_score;
+      added[edge_key(t2, best_t3)] = true;
+      removed[edge_key(best_t4, best_t3)] = true;
+      flips.push(flip(tour, position, position[t2], position[best_t4]));
+
+      var closed_gain = gain - matrix[best_t4][t1];
+      if (closed_gain > best_gain) {
+        best_gain = closed_gain;
+        best_step = step;
+      }
+
+      // The closing arc (t1, t4) becomes the next one we try to get rid of
+      t2 = best_t4;
+    }
+
+    // Roll back the flips past the best point in the chain
+    for (var i=flips.length-1; i>=best_step; i--) {
+      flip(tour, position, flips[i][0], flips[i][1]);
+    }
+    return best_step > 0;
+  }
+
+
+  // Reverses the tour between two positions (inclusive, wrapping around the end).
+  // Returns the positions so the flip can be undone by flipping them again.
+  var flip = function(tour, position, from, to) {
+    var n = tour.length;
+    var length = ((to - from + n) % n) + 1;
+    for (var k=0; k<Math.floor(length / 2); k++) {
+      var i = (from + k) % n, j = (to - k + n) % n;
+      var t = tour[i];
+      tour[i] = tour[j];
+      tour[j] = t;
+      position[tour[i]] = i;
+      position[tour[j]] = j;
+    }
+    return [from, to];
+  }
+
+
+  var edge_key = function(a, b) {
+    return a < b ? a + "," + b : b + "," + a;
+  }
+
+}
+
+
+SalesmanRegistry.salesmen.register({
+  name: "lk",
+  label: "LK",
+  description: "Chained Lin-Kernighan",
+  params: {
+    neighbours: { type: "integer", default: 8, min: 1, description: "nearest neighbours to try" },
+    max_depth:  { type: "integer", default: 50, min: 1, description: "longest chain of flips" },
+    kicks:      { type: "integer", default: null, min: 0, description: "double-bridge kicks (default: one per point)" },
+    time_limit: { type: "integer", default: 5000, min: 0, description: "milliseconds to keep kicking" }
+  },
+  create: function(rng, params) { return new LKSalesman(_.extend({ rng: rng }, params)); }
+});
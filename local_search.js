@@ -0,0 +1,184 @@
+/***
+* A post-optimizer for any plan. We boil the plan down to the order in which it
+* first visits each point, then improve that tour on the metric closure (see
+* MetricClosure) with 2-opt and Or-opt moves (and optionally 3-opt) until none of
+* them finds anything. Finally the tour is expanded back into shortest walks along
+* real arcs, so the result is always a valid plan and never longer than the one we
+* were given.
+*
+* options:
+*   moves:      which moves to try, in order: any of "2opt", "oropt" and "3opt"
+*               (default ["2opt", "oropt"]). 3-opt is O(n^3) a pass, so it's off
+*               unless you ask for it.
+*   max_passes: give up after this many passes over the tour (default: no limit)
+**/
+function LocalSearch(options) {
+
+  options = _.defaults({}, options, {
+    moves: ["2opt", "oropt"],
+    max_passes: Number.POSITIVE_INFINITY
+  });
+
+  var EPSILON = 1e-9;       // ignore 'improvements' that are just rounding noise
+  var OR_OPT_MAX_SEGMENT = 3;
+  var MOVES = ["2opt", "oropt", "3opt"];
+
+  _(options.moves).each(function(move) {
+    if (!_(MOVES).include(move)) throw new SolverError("Unknown local search move! " + move + " (try " + MOVES.join(", ") + ")");
+  });
+
+  this.options = options;
+
+
+  /**
+  * Improves a plan on the given graph. Pass a MetricClosure of the graph if you
+  * already have one lying around.
+  **/
+  this.optimize = function(graph, plan, closure) {
+    closure = closure || new MetricClosure(graph);
+    if (plan.length < 2) return plan;
+
+    var m = closure.get_distance_matrix();
+    var tour = this.plan_to_tour(plan, m.position_by_id);
+    tour = this.optimize_tour(tour, m.matrix);
+    return closure.positions_to_plan(tour, plan[0]);
+  }
+
+
+  /**
+  * The order in which the plan first visits each point, as matrix positions
+  **/
+  this.plan_to_tour = function(plan, position_by_id) {
+    var seen = {};
+    var tour = [];
+    _(plan).each(function(id) {
+      if (seen[id]) return;
+      seen[id] = true;
+      tour.push(position_by_id[id]);
+    });
+    return tour;
+  }
+
+
+  /**
+  * Runs the moves over a tour (an array of matrix positions, implicitly closed)
+  * until no move improves it. Returns the improved tour.
+  **/
+  this.optimize_tour = function(tour, matrix) {
+    tour = tour.slice();
+    if (tour.length < 4) return tour;
+
+    var passes = 0;
+    var improved = true;
+    while (improved && passes < options.max_passes) {
+      improved = false;
+      passes++;
+      _(options.moves).each(function(move) {
+        if (move == "2opt" && two_opt_pass(tour, matrix)) improved = true;
+        if (move == "oropt" || move == "3opt") {
+          var moved = move == "oropt" ? or_opt_pass(tour, matrix) : three_opt_pass(tour, matrix);
+          if (moved) {
+            tour = moved;
+            improved = true;
+          }
+        }
+      });
+    }
+    return tour;
+  }
+
+
+  // Replace arcs (a,b) and (c,d) with (a,c) and (b,d) by reversing b..c, in place.
+  // Returns whether anything improved.
+  var two_opt_pass = function(tour, matrix) {
+    var n = tour.length;
+    var improved = false;
+
+    for (var i=0; i<n-2; i++) {
+      for (var j=i+2; j<n; j++) {
+        if (i == 0 && j == n-1) continue;  // those two arcs share a point
+
+        var a = tour[i], b = tour[i+1], c = tour[j], d = tour[(j+1) % n];
+        var delta = matrix[a][c] + matrix[b][d] - matrix[a][b] - matrix[c][d];
+        if (delta < -EPSILON) {
+          reverse(tour, i+1, j);
+          improved = true;
+        }
+      }
+    }
+    return improved;
+  }
+
+
+  // Move a run of 1 to OR_OPT_MAX_SEGMENT points somewhere else in the tour, either
+  // way round. Returns the new tour if anything improved, null otherwise.
+  var or_opt_pass = function(tour, matrix) {
+    var n = tour.length;
+    var improved = false;
+
+    for (var length=1; length<=OR_OPT_MAX_SEGMENT && length<n-2; length++) {
+      for (var i=0; i<n; i++) {
+
+        // Split the tour into the segment and the rest, which starts just after the segment
+        var segment = [], rest = [];
+        for (var k=0; k<length; k++) segment.push(tour[(i + k) % n]);
+        for (var k=length; k<n; k++) rest.push(tour[(i + k) % n]);
+
+        var first = segment[0], last = segment[length-1];
+        var prev = rest[rest.length-1], next = rest[0];
+        var removal_gain = matrix[prev][first] + matrix[last][next] - matrix[prev][next];
+
+        // Try every other gap in the rest of the tour
+        for (var k=0; k<rest.length-1; k++) {
+          var p = rest[k], q = rest[k+1];
+          var forward = matrix[p][first] + matrix[last][q] - matrix[p][q];
+          var backward = matrix[p][last] + matrix[first][q] - matrix[p][q];
+          var insertion_cost = Math.min(forward, backward);
+
+          if (insertion_cost - removal_gain < -EPSILON) {
+            if (backward < forward) segment.reverse();
+            tour = rest.slice(0, k+1).concat(segment, rest.slice(k+1));
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+    return improved ? tour : null;
+  }
+
+
+  // The 3-opt move that isn't just 2-opts in a row: cut arcs (a,b), (c,d) and (e,f)
+  // and swap the two middle segments, a [d..e] [b..c] f. Returns the new tour if
+  // anything improved, null otherwise.
+  var three_opt_pass = function(tour, matrix) {
+    var n = tour.length;
+    var improved = false;
+
+    for (var i=0; i<n-2; i++) {
+      for (var j=i+1; j<n-1; j++) {
+        for (var k=j+1; k<n; k++) {
+          var a = tour[i], b = tour[i+1], c = tour[j], d = tour[j+1], e = tour[k], f = tour[(k+1) % n];
+          var delta = matrix[a][d] + matrix[e][b] + matrix[c][f] - matrix[a][b] - matrix[c][d] - matrix[e][f];
+          if (delta < -EPSILON) {
+            tour = tour.slice(0, i+1).concat(tour.slice(j+1, k+1), tour.slice(i+1, j+1), tour.slice(k+1));
+            improved = true;
+          }
+        }
+      }
+    }
+    return improved ? tour : null;
+  }
+
+
+  var reverse = function(tour, from, to) {
+    while (from < to) {
+      var t = tour[from];
+      tour[from] = tour[to];
+      tour[to] = t;
+      from++;
+      to--;
+    }
+  }
+
+}
@@ -0,0 +1,227 @@
+/***
+* The metric closure of a graph: the complete graph on the same points, where the
+* arc between any two points is as long as the shortest walk between them along
+* real arcs. Any Hamiltonian tour on the closure can be expanded back into a walk
+* on the real graph of exactly the same length, so classical complete-graph TSP
+* heuristics can work on the closure without worrying about 'trapped' points.
+**/
+function MetricClosure(graph, index) {
+
+  var self = this;
+
+  this.graph = graph;
+  this.index = index || new GraphIndex(graph);
+
+  // We need every shortest path anyway, so always build the table
+  this.index.precompute_all_pairs(Number.POSITIVE_INFINITY);
+
+
+  /**
+  * Shortest walking distance between two points of the real graph
+  **/
+  this.get_dist = function(point1, point2) {
+    return this.index.get_shortest_distance(point1, point2);
+  }
+
+
+  /**
+  * The closure as a regular {points, arcs} graph. Each arc carries its length
+  * as its third element, which GraphIndex picks up.
+  **/
+  this.build_graph = function() {
+    var points = graph.points;
+    var arcs = [];
+    for(var i=0; i<points.length; i++) {
+      for(var j=i+1; j<points.length; j++) {
+        arcs.push([points[i].id, points[j].id, this.get_dist(points[i], points[j])]);
+      }
+    }
+    return { 'points': points, 'arcs': arcs };
+  }
+
+
+  /**
+  * A dense distance matrix for the number crunchers. Points are numbered by their
+  * position in graph.points; returns { ids: [...], position_by_id: {...}, matrix: [[...]] }
+  **/
+  this.get_distance_matrix = function() {
+    if (this.distance_matrix) return this.distance_matrix;
+
+    var ids = _(graph.points).pluck("id");
+    var position_by_id = {};
+    var matrix = [];
+    _(ids).each(function(id, i) { position_by_id[id] = i; });
+
+    _(graph.points).each(function(p, i) {
+      var row = matrix[i] = new Float64Array(ids.length);
+      var dist = self.index.all_pairs[p.id].dist;
+      for(var j=0; j<ids.length; j++) {
+        if (i != j && dist[ids[j]] == null) throw new GraphError("The graph is not connected! " + p.id + " -> " + ids[j]);
+        row[j] = (i == j) ? 0 : dist[ids[j]];
+      }
+    });
+
+    this.distance_matrix = { ids: ids, position_by_id: position_by_id, matrix: matrix };
+    return this.distance_matrix;
+  }
+
+
+  /**
+  * Reads a value per arc of the real graph out of a matrix laid out like
+  * get_distance_matrix's (e.g. an ant colony's pheromone), as [[id1, id2, value]]
+  **/
+  this.get_arc_values = function(values) {
+    var position_by_id = this.get_distance_matrix().position_by_id;
+    return _(graph.arcs).map(function(a) {
+      return [a[0], a[1], values[position_by_id[a[0]]][position_by_id[a[1]]]];
+    });
+  }
+
+
+  /**
+  * Length of a closed walk on the closure, given as a plan of point ids
+  **/
+  this.get_plan_length = function(plan) {
+    var length = 0;
+    for(var i=1; i<plan.length; i++) {
+      length += this.get_dist(this.index.get_point(plan[i-1]), this.index.get_point(plan[i]));
+    }
+    return length;
+  }
+
+
+  /**
+  * Turns a tour (each point id exactly once, in visiting order) into a closed
+  * plan on the closure which starts and ends at start_point_id
+  **/
+  this.tour_to_plan = function(tour, start_point_id) {
+    var start = _(tour).indexOf(start_point_id);
+    if (start < 0) throw new InvalidPlanError("The tour doesn't visit the starting point! " + start_point_id);
+    var plan = tour.slice(start).concat(tour.slice(0, start));
+    plan.push(start_point_id);
+    return plan;
+  }
+
+
+  /**
+  * Turns a tour of matrix positions (see get_distance_matrix) straight into a plan
+  * on the real graph which starts and ends at start_point_id
+  **/
+  this.positions_to_plan = function(tour, start_point_id) {
+    var ids = this.get_distance_matrix().ids;
+    var tour_ids = _(tour).map(function(i) { return ids[i]; });
+    return this.expand_plan(this.tour_to_plan(tour_ids, start_point_id));
+  }
+
+
+  /**
+  * Expands a plan on the closure into the real arc sequence it stands for
+  **/
+  this.expand_plan = function(plan) {
+    var complete_path = [];
+    for(var i=1; i<plan.length; i++) {
+      var path = this.index.get_path_to_point(this.index.get_point(plan[i-1]), this.index.get_point(plan[i]));
+      complete_path = complete_path.concat(path);
+    }
+    if (plan.length == 1) complete_path = [this.index.get_point(plan[0])];
+    return this.index.path_to_plan(complete_path);
+  }
+
+}
+
+
+/**
+* Length of a closed tour of matrix positions, for the salesmen that crunch
+* get_distance_matrix's numbers
+**/
+MetricClosure.tour_length = function(tour, matrix) {
+  var length = 0;
+  for (var i=0; i<tour.length; i++) {
+    length += matrix[tour[i]][tour[(i + 1) % tour.length]];
+  }
+  return length;
+}
+
+
+/**
+* A nearest neighbour tour of matrix positions from 'start': always on to the
+* closest position not yet visited
+**/
+MetricClosure.nearest_neighbour_tour = function(matrix, start) {
+  var n = matrix.length;
+  var visited = new Uint8Array(n);
+  var tour = [start];
+  visited[start] = 1;
+
+  for (var step=1; step<n; step++) {
+    var last = tour[tour.length-1];
+    var closest = -1;
+    for (var j=0; j<n; j++) {
+      if (visited[j]) continue;
+      if (closest < 0 || matrix[last][j] < matrix[last][closest]) closest = j;
+    }
+    tour.push(closest);
+    visited[closest] = 1;
+  }
+  return tour;
+}
+
+
+/**
+* For each position, its k closest other positions, closest first
+**/
+MetricClosure.neighbour_lists = function(matrix, k) {
+  var n = matrix.length;
+  return _(_.range(n)).map(function(i) {
+    var others = _(_.range(n)).reject(function(j) { return j == i; });
+    return _(others).sortBy(function(j) { return matrix[i][j]; }).slice(0, k);
+  });
+}
+
+
+/**
+* (1 / length)^beta between every two positions, 0 from a position to itself: how
+* much the ant salesmen like an arc before there's any pheromone on it
+**/
+MetricClosure.closeness = function(matrix, beta) {
+  var n = matrix.length;
+  return _(_.range(n)).map(function(i) {
+    var row = new Float64Array(n);
+    for (var j=0; j<n; j++) {
+      row[j] = i == j ? 0 : Math.pow(1 / Math.max(matrix[i][j], 1e-9), beta);
+    }
+    return row;
+  });
+}
+
+
+/**
+* Where an ant goes next from a position with the given neighbour list: one of the
+* neighbours it hasn't visited, or, once it has visited them all, any position it
+* hasn't. score(j) weighs each choice. With probability 'greedy' (default 0) the
+* best one is taken outright; otherwise one is picked with probability in proportion
+* to its score. rng is the salesman's SeededRandom.
+**/
+MetricClosure.choose_next = function(neighbours, visited, score, rng, greedy) {
+  var choices = _(neighbours).reject(function(j) { return visited[j]; });
+  if (choices.length == 0) {
+    choices = _(_.range(visited.length)).reject(function(j) { return visited[j]; });
+  }
+  var scores = _(choices).map(score);
+
+  if (greedy && rng.random() < greedy) {
+    var best = 0;
+    for (var i=1; i<choices.length; i++) {
+      if (scores[i] > scores[best]) best = i;
+    }
+    return choices[best];
+  }
+
+  var total = _(scores).reduce(function(sum, s) { return sum + s; }, 0);
+  var spin = rng.random() * total;
+  for (var i=0; i<choices.length; i++) {
+    spin -= scores[i];
+    if (spin <= 0) return choices[i];
+  }
+  return choices[choices.length-1];
+}
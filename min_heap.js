@@ -0,0 +1,69 @@
+/***
+* A plain binary min-heap, used as the priority queue for Dijkstra and friends.
+* Items are pushed with a numeric priority; pop() always hands back the item with
+* the lowest one.
+**/
+function MinHeap() {
+
+  var items = [];
+  var priorities = [];
+
+
+  var swap = function(i, j) {
+    var item = items[i], priority = priorities[i];
+    items[i] = items[j];
+    priorities[i] = priorities[j];
+    items[j] = item;
+    priorities[j] = priority;
+  }
+
+
+  this.size = function() {
+    return items.length;
+  }
+
+
+  this.push = function(item, priority) {
+    items.push(item);
+    priorities.push(priority);
+
+    // Bubble up
+    var i = items.length - 1;
+    while (i > 0) {
+      var parent = (i - 1) >> 1;
+      if (priorities[parent] <= priorities[i]) break;
+      swap(i, parent);
+      i = parent;
+    }
+  }
+
+
+  this.peek_priority = function() {
+    return priorities[0];
+  }
+
+
+  this.pop = function() {
+    if (items.length == 0) return null;
+    var top = items[0];
+    var last_item = items.pop();
+    var last_priority = priorities.pop();
+    if (items.length == 0) return top;
+
+    items[0] = last_item;
+    priorities[0] = last_priority;
+
+    // Sift down
+    var i = 0;
+    while (true) {
+      var left = 2 * i + 1, right = left + 1, smallest = i;
+      if (left < items.length && priorities[left] < priorities[smallest]) smallest = left;
+      if (right < items.length && priorities[right] < priorities[smallest]) smallest = right;
+      if (smallest == i) break;
+      swap(i, smallest);
+      i = smallest;
+    }
+    return top;
+  }
+
+}
@@ -0,0 +1,97 @@
+/***
+* Checks a plan against the rules and lists *everything* that's wrong with it, rather
+* than stopping at the first problem, so a broken plan can be shown in one go.
+*
+*   var report = new PlanValidator(graph).validate(plan, "pt_0");
+*   if (!report.valid) renderer.show_violations(plan, report);
+*
+* validate() returns:
+*   {
+*     valid:           true if there are no violations
+*     cost:            total length of the legs between known points
+*     violations:      [{ type, message, ... }] in the order they appear in the plan
+*     bad_legs:        indices i of the legs plan[i-1] -> plan[i] that can't be walked
+*     visit_counts:    { point_id: times visited } (the final return to start not counted)
+*     repeated_visits: how many visits were to points we'd already been to
+*   }
+*
+* Violation types, and what else they carry:
+*   "empty_plan"       nothing to walk at all
+*   "unknown_point"    index, point_id
+*   "wrong_start"      point_id, expected (only checked if we're given a start point)
+*   "missing_arc"      index (of the leg's end), from, to
+*   "not_closed"       index, point_id, expected: the plan doesn't end where it started
+*   "unvisited_point"  point_id
+*
+* Visiting a point more than once is allowed (graphs are sparse), so it's only counted.
+**/
+function PlanValidator(graph, index) {
+
+  this.graph = graph;
+  this.index = index || new GraphIndex(graph);
+
+
+  this.validate = function(plan, start_point_id) {
+    var index = this.index;
+    var violations = [];
+    var bad_legs = [];
+    var visit_counts = {};
+    var repeated_visits = 0;
+    var cost = 0;
+    var last_point = null;
+
+    if (plan == null || plan.length == 0) {
+      violations.push({ type: "empty_plan", message: "The plan is empty!" });
+    } else if (start_point_id != null && plan[0] != start_point_id) {
+      violations.push({ type: "wrong_start", point_id: plan[0], expected: start_point_id,
+                        message: "The salesman must start at " + start_point_id + "! " + plan[0] });
+    }
+
+    _(plan || []).each(function(point_id, i) {
+      var point = index.get_point(point_id);
+      if (point == null) {
+        violations.push({ type: "unknown_point", index: i, point_id: point_id, message: "Unknown point! " + point_id });
+      }
+      if (i == plan.length-1 && point_id != plan[0]) {
+        violations.push({ type: "not_closed", index: i, point_id: point_id, expected: plan[0],
+                          message: "The salesman must return to the starting point!" });
+      }
+
+      if (i > 0) {
+        if (point == null || last_point == null) {
+          bad_legs.push(i);
+        } else {
+          cost += index.get_dist(last_point, point);
+          if (!index.arc_exists(last_point.id, point.id)) {
+            bad_legs.push(i);
+            violations.push({ type: "missing_arc", index: i, from: last_point.id, to: point.id,
+                              message: "Tried to traverse a non-existing arc! " + last_point.id + " -> " + point.id });
+          }
+        }
+      }
+
+      // The closing return to start isn't a new visit
+      if (point != null && !(i > 0 && i == plan.length-1 && point_id == plan[0])) {
+        if (visit_counts[point_id]) repeated_visits++;
+        visit_counts[point_id] = (visit_counts[point_id] || 0) + 1;
+      }
+      last_point = point;
+    });
+
+    _(this.graph.points).each(function(p) {
+      if (!visit_counts[p.id]) {
+        violations.push({ type: "unvisited_point", point_id: p.id, message: "Not all points have been visited! " + p.id });
+      }
+    });
+
+    return {
+      valid: violations.length == 0,
+      cost: cost,
+      violations: violations,
+      bad_legs: bad_legs,
+      visit_counts: visit_counts,
+      repeated_visits: repeated_visits
+    };
+  }
+
+}
@@ -0,0 +1,58 @@
+/***
+* Buttons for one of the Renderer's players (see Renderer.animate), so a tour can be
+* watched leg by leg: restart, step back, play/pause, step forward, a speed picker,
+* and a readout of the current leg and the distance walked so far.
+*
+*   var player = renderer.start_plan(plan, "player_one");
+*   new PlaybackControls("#playback", player, "Quick");
+**/
+function PlaybackControls(container, player, label) {
+
+  var SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+  this.player = player;
+
+
+  this.initialize = function() {
+    var self = this;
+    this.element = $( "<div class='playback_controls'>" ).appendTo(container);
+    $( "<span class='playback_label'>" ).addClass(player.player_id).text(label || player.player_id).appendTo(this.element);
+
+    button("restart", "restart", function() { player.restart(); });
+    button("back", "<<", function() { player.step(-1); });
+    this.play_button = button("play", "", function() { player.toggle(); });
+    button("forward", ">>", function() { player.step(1); });
+
+    this.speed = $( "<select class='playback_speed'>" ).appendTo(this.element);
+    _(SPEEDS).each(function(speed) {
+      $( "<option>" ).val(speed).text(speed + "x").appendTo(self.speed);
+    });
+    this.speed.val(player.speed);
+    this.speed.on( "change", function() { player.set_speed(parseFloat(self.speed.val())); });
+
+    this.readout = $( "<span class='playback_readout'>" ).appendTo(this.element);
+
+    player.on_change(function() { self.update(); });
+    this.update();
+  }
+
+
+  this.update = function() {
+    this.play_button.text(player.playing ? "pause" : "play");
+    this.readout.text("leg " + player.position + "/" + player.legs + ", " +
+                      player.distance.toFixed(1) + " of " + player.total_distance.toFixed(1));
+  }
+
+
+  var self = this;
+  var button = function(name, text, on_click) {
+    return $( "<a href='#'>" ).addClass("playback_" + name).text(text).appendTo(self.element).click(function(e) {
+      e.preventDefault();
+      on_click();
+    });
+  }
+
+
+  // Initialize
+  this.initialize();
+}
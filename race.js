@@ -0,0 +1,202 @@
+/***
+* Races salesmen against each other on one graph: each one solves it, then they all
+* walk their tours at the same time, each in its own colour with a trail, while a
+* scoreboard keeps up with their running distance. The scoreboard ranks them by
+* final cost and compares everyone to GreedySalesman, the original baseline.
+*
+*   var race = new Race(renderer, { container: "#scoreboard" });
+*   race.run(graph, [
+*     { name: "Quick", create: function(rng) { return new QuickSalesman(); } },
+*     { name: "LK",    algorithm: "lk", params: {} }
+*   ], function(racers) { ... });
+*
+* options:
+*   container:      where the scoreboard goes
+*   start_point_id: where everyone starts (default "pt_0")
+*   seed:           seed for every salesman's SeededRandom (default: a random one)
+*   time_budget:    milliseconds each salesman gets (default: Harness.run_algorithm's)
+*   on_save:        callback(racer); if given, every racer with a plan gets a "save"
+*                   link on the scoreboard
+*
+* An entrant may also say which registered salesman it is and with what params
+* ({ algorithm, params }, see AlgorithmPicker). Those are solved in workers (see
+* Harness.run_algorithm_in_worker), so a slow one doesn't hang the page, and their
+* racers pass the algorithm and params on.
+**/
+function Race(renderer, options) {
+
+  options = _.defaults({}, options, {
+    start_point_id: "pt_0",
+    seed: null
+  });
+
+  var colours = d3.scale.category10();
+
+  this.options = options;
+  this.harness = new Harness();
+  this.runs = [];
+  this.race_count = 0;
+
+
+  /**
+  * Solves the graph with every entrant ({ name, create(rng) }, like Benchmark's
+  * algorithms, or { name, algorithm, params }) and draws the scoreboard. Once they're
+  * all done it ranks them, starts the animations and calls on_finish(racers). Returns
+  * the racers, filled in as they finish:
+  * [{ name, algorithm, params, seed, colour, plan, cost, time, error, rank, player }]
+  * Running again (or cancel()) abandons a race that's still going.
+  **/
+  this.run = function(graph, entrants, on_finish) {
+    var self = this;
+    var seed = options.seed == null ? new SeededRandom().seed : options.seed;
+
+    this.cancel();
+    var race = this.race_count;
+    var left = entrants.length + 1;
+    var finished = function() {
+      if (race != self.race_count) return;
+      if (--left > 0) return self.draw_scoreboard();
+      self.finish();
+      if (on_finish) on_finish(self.racers);
+    }
+
+    this.baseline = this.solve(graph, { name: "Greedy", create: function(rng) { return new GreedySalesman(); } }, seed).cost;
+    this.racers = _(entrants).map(function(entrant, i) {
+      return { name: entrant.name, algorithm: entrant.algorithm, params: entrant.params, seed: seed, colour: colours(i),
+               plan: null, cost: null, time: null, error: null, rank: null };
+    });
+    this.draw_scoreboard();
+
+    this.runs = _(entrants).map(function(entrant, i) {
+      var racer = self.racers[i];
+      if (entrant.algorithm == null) {
+        _.extend(racer, self.solve(graph, entrant, seed));
+        finished();
+        return null;
+      }
+      return self.solve_in_worker(graph, entrant, seed, racer, finished);
+    });
+    finished();   // the baseline's done too
+
+    return this.racers;
+  }
+
+
+  /**
+  * Stops the race that's running, if any, without finishing it
+  **/
+  this.cancel = function() {
+    this.race_count++;
+    _(_(this.runs).compact()).invoke("cancel");
+    this.runs = [];
+  }
+
+
+  // Everyone's done: rank them and send them off
+  this.finish = function() {
+    var self = this;
+
+    // Rank the valid ones, cheapest first
+    var ranked = _(this.racers).chain().filter(function(r) { return r.cost != null; }).sortBy(function(r) { return r.cost; }).value();
+    _(ranked).each(function(r, i) { r.rank = i + 1; });
+
+    renderer.clear_players();
+    _(this.racers).each(function(racer, i) {
+      if (racer.plan == null) return;
+      racer.player = renderer.start_plan(racer.plan, "racer_" + i, { colour: racer.colour });
+      racer.player.on_change(function() { self.update_scoreboard(); });
+    });
+
+    this.draw_scoreboard();
+  }
+
+
+  /**
+  * Runs one registered entrant in a worker, fills in its racer and calls done()
+  **/
+  this.solve_in_worker = function(graph, entrant, seed, racer, done) {
+    var start_time = new Date();
+    return this.harness.run_algorithm_in_worker(graph, options.start_point_id, entrant.algorithm, entrant.params, seed, {
+      time_budget: options.time_budget,
+      on_done: function(result) {
+        racer.time = new Date() - start_time;
+        racer.plan = result.plan;
+        racer.cost = result.cost;
+        done();
+      },
+      on_error: function(message) {
+        racer.time = new Date() - start_time;
+        racer.error = message;
+        done();
+      }
+    });
+  }
+
+
+  /**
+  * Runs one entrant, returns { name, algorithm, params, seed, plan, cost, time, error }
+  **/
+  this.solve = function(graph, entrant, seed) {
+    var result = { name: entrant.name, algorithm: entrant.algorithm, params: entrant.params, seed: seed,
+                   plan: null, cost: null, time: null, error: null, rank: null };
+    var start_time = new Date();
+    try {
+      result.plan = this.harness.run_algorithm(graph, options.start_point_id, entrant.create(new SeededRandom(seed)),
+                                               { time_budget: options.time_budget });
+      result.time = new Date() - start_time;
+      result.cost = this.harness.compute_plan_cost(graph, result.plan);
+    } catch (e) {
+      if (result.time == null) result.time = new Date() - start_time;
+      result.error = String(e && e.message ? e.message : e);
+      result.plan = null;
+    }
+    return result;
+  }
+
+
+  this.draw_scoreboard = function() {
+    var table = $( "<table class='scoreboard'>" );
+    var headings = ["#", "salesman", "walked", "cost", "ms", "vs greedy"].concat(options.on_save ? [""] : []);
+    $( "<tr>" ).append(_(headings).map(function(h) {
+      return $( "<th>" ).text(h);
+    })).appendTo(table);
+
+    _(_(this.racers).sortBy(function(r) { return r.rank == null ? Number.POSITIVE_INFINITY : r.rank; })).each(function(racer) {
+      racer.row = $( "<tr>" ).appendTo(table);
+      $( "<td>" ).text(racer.rank == null ? "-" : racer.rank).appendTo(racer.row);
+      $( "<td>" ).text(racer.name).css("color", racer.colour).attr("title", racer.error || "").appendTo(racer.row);
+      $( "<td class='walked'>" ).appendTo(racer.row);
+      $( "<td>" ).text(racer.time == null ? "solving..." : racer.cost == null ? "invalid" : racer.cost.toFixed(1)).appendTo(racer.row);
+      $( "<td>" ).text(racer.time == null ? "-" : racer.time).appendTo(racer.row);
+      $( "<td>" ).text(vs_baseline(racer.cost, this.baseline)).appendTo(racer.row);
+      if (options.on_save) {
+        var save = $( "<td>" ).appendTo(racer.row);
+        if (racer.plan) $( "<a href='#'>save</a>" ).appendTo(save).click(function(e) {
+          e.preventDefault();
+          options.on_save(racer);
+        });
+      }
+    }, this);
+
+    $(options.container).empty().append(table);
+    this.update_scoreboard();
+  }
+
+
+  // Just the running distances, they change all the time
+  this.update_scoreboard = function() {
+    _(this.racers).each(function(racer) {
+      if (racer.row == null) return;
+      var walked = racer.player ? racer.player.distance.toFixed(1) : "-";
+      racer.row.find( "td.walked" ).text(walked);
+    });
+  }
+
+
+  var vs_baseline = function(cost, baseline) {
+    if (cost == null || baseline == null) return "-";
+    var percent = 100 * (cost - baseline) / baseline;
+    return (percent > 0 ? "+" : "") + percent.toFixed(1) + "%";
+  }
+
+}
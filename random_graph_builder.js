@@ -4,20 +4,27 @@
 * some challenges. 
 * In this implementation, we make sure every disjoint component is connected to every
 * other component. Is there a better, more elegant, more aesthetic way to do this? 
+*
+* All randomness comes from 'rng' (a SeededRandom), so the same seed always
+* builds the same graph.
+*
+* options:
+*   num_points:     how many points to make (default 75)
+*   arcs_per_point: how many random arcs to try per point (default 3)
 **/
-function RandomGraphBuilder() {
+function RandomGraphBuilder(rng, options) {
   
-  NUM_POINTS = 75;
-  NUM_ARCS = NUM_POINTS * 3;
-  MAX_X = 100;
-  MAX_Y = 100;
+  options = _.defaults({}, options, {
+    num_points: 75,
+    arcs_per_point: 3
+  });
   
-  this.get_point = function(point_id) {
-    return _(this.graph.points).detect(function(p) {
-      return(p.id == point_id)
-    })
-  }
+  this.rng = rng || new SeededRandom();
   
+  var NUM_POINTS = options.num_points;
+  var NUM_ARCS = NUM_POINTS * options.arcs_per_point;
+  var MAX_X = 100;
+  var MAX_Y = 100;
   
   this.build_graph = function() {
     
@@ -45,8 +52,8 @@ function RandomGraphBuilder() {
     for(i=0; i<NUM_POINTS;i++) {
       this.graph.points.push({
         "id": "pt_" + String(i),
-        "x": Math.random() * MAX_X,
-        "y": Math.random() * MAX_Y,
+        "x": this.rng.random() * MAX_X,
+        "y": this.rng.random() * MAX_Y,
       })
     }
     
@@ -54,8 +61,8 @@ function RandomGraphBuilder() {
     used_arcs = {}
     for(i=0;i<NUM_ARCS;i++) {
       
-      pt1 = "pt_" + Math.floor(Math.random() * NUM_POINTS);
-      pt2 = "pt_" + Math.floor(Math.random() * NUM_POINTS);
+      pt1 = "pt_" + Math.floor(this.rng.random() * NUM_POINTS);
+      pt2 = "pt_" + Math.floor(this.rng.random() * NUM_POINTS);
       
       // Dont have a self-looping arc... 
       if (pt1 == pt2) continue;
@@ -75,21 +82,17 @@ function RandomGraphBuilder() {
   }
   
   
-  this.connect_components = function() {
+  /**
+  * Makes sure every point can reach every other one, adding arcs to 'graph' (default:
+  * the one we're building) where they can't. Returns the arcs it added.
+  **/
+  this.connect_components = function(graph) {
     
     var self = this;
-    
-    // Helper fn to just get the surounding points 
-    var get_surrounding_points = function(point) {
-      var a = _(self.graph.arcs).map(function(a) {
-        if (a[0] == point.id) return a[1];
-        if (a[1] == point.id) return a[0];
-        return null;
-      })
-      return _.compact(a).map(function(pid) {
-        return self.get_point(pid);
-      });
-    }
+    var index;
+    var added = [];
+    if (graph) this.graph = graph;
+    if (this.graph.points.length == 0) return added;
     
     // Traverses the graaph from a given point and marks each point it touches in the 'visited' hash
     var recurse_touch = function(point, visited) {
@@ -97,7 +100,7 @@ function RandomGraphBuilder() {
       // 'Touch' this point
       visited[point.id] = true
       
-      _(get_surrounding_points(point)).each(function(p) {
+      _(index.get_surrounding_points(point.id)).each(function(p) {
         if (!visited[p.id]) {
           // We haven't visited this point. Let's 'touch' it.. (and recurse)
           recurse_touch(p, visited);
@@ -125,7 +128,8 @@ function RandomGraphBuilder() {
     // We're going to loop until every component in the graph is connected... 
     while(true) {
       
-      // Traverse the graph and build the 'visited' hash
+      // Traverse the graph and build the 'visited' hash. The arcs change every time round, so re-index
+      index = new GraphIndex(this.graph);
       first_point = this.graph.points[0];
       visited = {}
       recurse_touch(first_point, visited);
@@ -138,13 +142,14 @@ function RandomGraphBuilder() {
         // We have an untouched point... so let's go ahead and create an arc between this and a touched point.
         // Note: this has the unruly sideeffect that all the components will be connected by the single 'first_point'.  Not ideal, but screw it. 
         this.graph.arcs.push([first_point.id, untouched_point.id])
+        added.push([first_point.id, untouched_point.id])
         
         // Now we have an arc between the 'visited' component and at least one other disjoint component.  We'll need to run 
         // through the cycle again (aka the while loop) until we've visited every point in the graph. 
         
       } else {
         // Otherwise, we've touched every point. We're done! 
-        return;
+        return added;
       }
     }
   
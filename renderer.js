@@ -12,6 +12,8 @@ function Renderer(container, graph) {
   COLOR_1 = "#a8ff9a",
   COLOR_2 = "#ff4242",
   COLOR_START = "#3cb79c",
+  PHEROMONE_LOW = "#ffe9a8",
+  PHEROMONE_HIGH = "#d93252",
   ZILLA = "M-5.085,7.617c0,0,0.93-2.283,1.606-3.213c0,0-1.634-2.001-1.606-3.945c0.028-1.945,0.62-4.988,1.353-5.891  C-3-6.334-0.801-8.476,2.102-8.279c2.903,0.198,3.861,1.522,3.974,1.635c0.113,0.112-0.553,0.366-0.563,2.025  c0,0-0.983,0.021-1.079,0.158c0,0-0.74-1.986-2.642-1.976c0,0-1.159-0.185-1.934,0.94c-0.561,0.813-0.613,1.627-0.561,2.061  c0,0-3.371,0.856-3.572,1.564s0.243,1.3,0.243,1.3s-0.666-0.634-0.084-1.374c0.582-0.74,3.403-1.353,3.467-1.374  c0,0,0.401,1.427,1.585,1.712c1.184,0.285,2.758,0.338,3.16-0.951c0.402-1.29,0.359-1.839,0.359-1.839l1.131-0.127  c0,0,0.127,0.919,0.296,1.025c0,0-0.275,0.296-0.306,0.433c0,0,1.722-1.141,3.403-1.067c0,0,0.222-1.829-0.74-2.378  c0,0-0.624-1.194-2.072-0.169c0,0-0.792,0.898-0.539,1.828c0,0,0.032,1.353,0.423,1.395c0,0,2.674-0.729,3.794-0.719  c1.12,0.011,2.822,0.053,3.34,1.596c0,0,0.655,0.782,0.423,2.029c-0.233,1.247-1.839,2.938-8.223,5.08l1.527-0.536  c0,0,0.827,4.754,0.893,5.309C7.807,9.326,7.809,9.342,7.809,9.35c0,0-0.55,1.24-2.48,2.296c0,0-4.833,0.254-6.017-0.479  C-1.873,10.435-5.113,9.364-5.085,7.617z"; 
   X_GRID_LINES = 20;
   Y_GRID_LINES = 20;
@@ -71,16 +73,223 @@ function Renderer(container, graph) {
   **/
   this.set_graph = function(graph) {
     this.graph = graph;
+    this.index = new GraphIndex(graph);
+    fit_scales(graph);
+    this.pheromone_history = [];
+    this.players = {};
     this.create_arcs(); 
+    this.pheromone_layer = this.svg.append( "g" ).attr( "class", "pheromone_layer" );
+    this.trail_layer = this.svg.append( "g" ).attr( "class", "trail_layer" );
     this.create_nodes(); 
   }
 
   
   /**
-  * Starts executing a plan
+  * Swaps in an edited version of the graph (see GraphEditor): draws it straight away,
+  * without the fly-in, and takes off everything that belonged to the old one - the
+  * players, the pheromone and any marked violations
   **/
-  this.start_plan = function(plan, player_id) {
-    this.animate(plan, player_id);
+  this.update_graph = function(graph) {
+    this.clear_players();
+    this.graph = graph;
+    this.index = new GraphIndex(graph);
+    fit_scales(graph);
+    this.pheromone_history = [];
+    this.pheromone_layer.selectAll( "line.pheromone" ).remove();
+    if (this.timeline) {
+      this.timeline.attr( "max", 0 ).val(0);
+      this.timeline_label.text( "" );
+    }
+    this.svg.selectAll( "line.bad_leg" ).remove();
+    d3.selectAll("circle.node").classed("node_unvisited", false);
+    this.draw_graph();
+  }
+
+
+  /**
+  * Brings the arcs and nodes on screen in line with this.graph
+  **/
+  this.draw_graph = function() {
+    var self = this;
+    var arcs = this.svg.selectAll( "line.arcs" )
+      .data( this.graph.arcs, function(d) { return d[0] + "|" + d[1]; });
+
+    arcs.enter()
+      .insert( "line", ".pheromone_layer" )
+      .attr( "class", "arcs" );
+    arcs
+      .attr( "x1", function(d){ return x(self.find_single_point(d[0]).x); })
+      .attr( "y1", function(d){ return y(self.find_single_point(d[0]).y); })
+      .attr( "x2", function(d){ return x(self.find_single_point(d[1]).x); })
+      .attr( "y2", function(d){ return y(self.find_single_point(d[1]).y); });
+    arcs.exit().remove();
+
+    var nodes = this.svg.selectAll( "circle.node" )
+      .data( this.graph.points, function(d) { return d.id; });
+
+    nodes.enter()
+      .append( "svg:circle" )
+      .attr( "class", "node" )
+      .attr( "id", function(d) { return d.id; })
+      .attr( "r", NODE_RADIUS )
+      .style( "fill", COLOR_1 );
+    nodes
+      .attr( "cx", function(d) { return x(d.x); })
+      .attr( "cy", function(d) { return y(d.y); });
+    nodes.exit().remove();
+  }
+
+
+  /**
+  * Draws a point, and its arcs, somewhere else without touching the graph (e.g. while
+  * it's being dragged). 'position' is in graph coordinates.
+  **/
+  this.move_node = function(point_id, position) {
+    var self = this;
+    var at = function(id) { return id == point_id ? position : self.find_single_point(id); };
+    this.select_node( point_id )
+      .attr( "cx", x(position.x) )
+      .attr( "cy", y(position.y) );
+    this.svg.selectAll( "line.arcs" )
+      .filter(function(d) { return d[0] == point_id || d[1] == point_id; })
+      .attr( "x1", function(d){ return x(at(d[0]).x); })
+      .attr( "y1", function(d){ return y(at(d[0]).y); })
+      .attr( "x2", function(d){ return x(at(d[1]).x); })
+      .attr( "y2", function(d){ return y(at(d[1]).y); });
+  }
+
+
+  /**
+  * Converts between graph coordinates ({ x, y }, 0 to 100) and pixels ([x, y], within
+  * this.svg)
+  **/
+  this.screen_position = function(point) {
+    return [x(point.x), y(point.y)];
+  }
+
+  this.graph_position = function(screen) {
+    return { x: x.invert(screen[0]), y: y.invert(screen[1]) };
+  }
+
+
+  // RandomGraphBuilder's points are all between 0 and 100, loaded graphs (see
+  // GraphFormat) can be anywhere, so stretch the scales to take them all in
+  var fit_scales = function(graph) {
+    var xs = _(graph.points).pluck( "x" ), ys = _(graph.points).pluck( "y" );
+    x.domain( [Math.min(0, _(xs).min()), Math.max(100, _(xs).max())] );
+    y.domain( [Math.max(100, _(ys).max()), Math.min(0, _(ys).min())] );
+  }
+
+
+  /**
+  * Starts executing a plan, returns its player (see animate)
+  **/
+  this.start_plan = function(plan, player_id, options) {
+    return this.animate(plan, player_id, options);
+  }
+
+
+  /**
+  * Takes every player off the graph
+  **/
+  this.clear_players = function() {
+    _(_(this.players).values()).each(function(player) { player.remove(); });
+    d3.selectAll("circle.node").classed("node_selected", false);
+  }
+
+
+  /**
+  * Takes the pheromone map of one iteration, [[point_id, point_id, level]] (see the
+  * ant salesmen's progress reports), and draws it, unless the timeline has been
+  * scrubbed back to an earlier iteration
+  **/
+  this.add_pheromone_snapshot = function(snapshot) {
+    this.pheromone_history.push(snapshot);
+    var latest = this.pheromone_history.length - 1;
+    if (this.timeline) {
+      var following = this.timeline.val() == this.timeline.attr( "max" );
+      this.timeline.attr( "max", latest );
+      if (!following) return;
+      this.timeline.val(latest);
+    }
+    this.show_pheromone(latest);
+  }
+
+
+  /**
+  * Draws the i-th pheromone snapshot over the arcs: the more pheromone (compared to
+  * the rest of that snapshot), the thicker and redder the arc
+  **/
+  this.show_pheromone = function(i) {
+    var self = this;
+    var snapshot = this.pheromone_history[i];
+    var levels = _(snapshot).map(function(a) { return a[2]; });
+    var low = _(levels).min(), high = _(levels).max();
+    var relative = function(d) { return high > low ? (d[2] - low) / (high - low) : 1; };
+    var width = d3.scale.linear().domain( [0, 1] ).range( [0.5, 6] );
+    var colour = d3.scale.linear().domain( [0, 1] ).range( [PHEROMONE_LOW, PHEROMONE_HIGH] );
+
+    var lines = this.pheromone_layer.selectAll( "line.pheromone" )
+      .data( snapshot, function(d) { return d[0] + "|" + d[1]; });
+
+    lines.enter()
+      .append( "line" )
+      .attr( "class", "pheromone" )
+      .attr( "x1", function(d){ return x(self.find_single_point(d[0]).x); })
+      .attr( "y1", function(d){ return y(self.find_single_point(d[0]).y); })
+      .attr( "x2", function(d){ return x(self.find_single_point(d[1]).x); })
+      .attr( "y2", function(d){ return y(self.find_single_point(d[1]).y); });
+
+    lines
+      .attr( "stroke-width", function(d){ return width(relative(d)); })
+      .attr( "opacity", function(d){ return 0.15 + 0.85 * relative(d); })
+      .style( "stroke", function(d){ return colour(relative(d)); });
+
+    lines.exit().remove();
+
+    if (this.timeline_label) {
+      this.timeline_label.text( "iteration " + (i + 1) + " of " + this.pheromone_history.length );
+    }
+  }
+
+
+  /**
+  * Adds a slider to 'container' to replay the pheromone snapshots we've been given
+  **/
+  this.attach_pheromone_timeline = function(container) {
+    var self = this;
+    this.timeline = $( "<input type='range' min='0' max='0' step='1' value='0'>" ).appendTo(container);
+    this.timeline_label = $( "<span>" ).appendTo(container);
+    this.timeline.on( "input change", function() {
+      if (self.pheromone_history.length > 0) self.show_pheromone(parseInt(self.timeline.val(), 10));
+    });
+  }
+
+
+  /**
+  * Marks everything that's wrong with a plan (see PlanValidator): the legs that
+  * can't be walked are drawn in red, and the points it never visits are outlined
+  **/
+  this.show_violations = function(plan, report) {
+    var self = this;
+    var legs = _(report.bad_legs).chain()
+      .map(function(i) { return [self.find_single_point(plan[i-1]), self.find_single_point(plan[i])]; })
+      .filter(function(leg) { return leg[0] != null && leg[1] != null; })
+      .value();
+
+    this.svg.selectAll( "line.bad_leg" )
+      .data( legs )
+      .enter()
+      .append( "line" )
+      .attr( "class", "bad_leg" )
+      .attr( "x1", function(d){ return x(d[0].x); })
+      .attr( "y1", function(d){ return y(d[0].y); })
+      .attr( "x2", function(d){ return x(d[1].x); })
+      .attr( "y2", function(d){ return y(d[1].y); });
+
+    _(report.violations).each(function(v) {
+      if (v.type == "unvisited_point") self.select_node(v.point_id).classed("node_unvisited", true);
+    });
   }
 
 
@@ -135,9 +344,16 @@ function Renderer(container, graph) {
   * Finds a given point
   **/
   this.find_single_point = function( d  ) { 
-    for( i=0;i<this.graph.points.length;i++ ) { 
-      if (this.graph.points[i].id === d) { return this.graph.points[i] } 
-    }
+    return this.index.get_point( d );
+  }
+
+
+  /**
+  * The circle drawn for a point. We go by the point bound to it rather than by its
+  * element id, since ids from a loaded graph needn't be valid CSS selectors (e.g. "1").
+  **/
+  this.select_node = function( point_id ) {
+    return this.svg.selectAll( "circle.node" ).filter(function(d) { return d.id == point_id; });
   }
 
 
@@ -182,101 +398,220 @@ function Renderer(container, graph) {
  
   /**
   * Kicks off an animation of a given plan.  We can color the 'bob' by supplying
-  * an extra CSS class 
+  * an extra CSS class, or options.colour, which also colours the trail it leaves
+  * behind. Returns the player, which can be controlled while it runs (see
+  * PlaybackControls for buttons that do it):
+  *
+  *   play(), pause(), toggle()   start and stop walking
+  *   step(delta)                 pause and jump delta legs forward (or back)
+  *   restart()                   back to the start, and play
+  *   set_speed(speed)            1 is normal, 2 twice as fast...
+  *   on_change(callback)         callback(player) whenever it moves or changes
+  *   remove()                    stop for good, and take the bob and trail away
+  *
+  * and tells where it is: position (index into the plan, i.e. legs walked), legs,
+  * distance (walked so far), total_distance, playing, finished.
   **/
-  this.animate = function(plan, player_id) { 
+  this.animate = function(plan, player_id, options) { 
 
     var player_id = player_id || "bob";
+    var options = options || {};
     var self = this;
-    var i = 0;
-    var bob = create_bobzilla(); 
-    var animate_bob = _(plan).map(function(pt) {
-      p = self.find_single_point(pt);
-      return [x(p.x), y(p.y), p.id]
-    });
-    var visited_points = {}
+    var points = _(plan).map(function(pt) { return self.find_single_point(pt); });
+    var listeners = [];
+    var generation = 0;     // bumped whenever we take over from a running transition
+
+    // Running distance at every point of the plan
+    var distances = [0];
+    for (var k=1; k<points.length; k++) {
+      distances.push(distances[k-1] + self.index.get_dist(points[k-1], points[k]));
+    }
 
-    function create_bobzilla() {   
-      var bob = self.svg.selectAll( "#" + player_id ) 
-        .data( [1] ) // create one bobzilla
-        .enter()
-        .append( "path" ) 
+    var player = {
+      player_id: player_id,
+      plan: plan,
+      position: 0,
+      legs: Math.max(0, plan.length - 1),
+      distance: 0,
+      total_distance: distances[distances.length-1],
+      speed: 1,
+      playing: true,
+      finished: false,
+
+      play: function() {
+        if (player.finished) return player.restart();
+        player.playing = true;
+        generation++;
+        changed();
+        walk();
+      },
+      pause: function() {
+        player.playing = false;
+        changed();
+      },
+      toggle: function() {
+        player.playing ? player.pause() : player.play();
+      },
+      step: function(delta) {
+        player.playing = false;
+        generation++;
+        move_to(Math.max(0, Math.min(player.legs, player.position + delta)), 200);
+      },
+      restart: function() {
+        player.playing = true;
+        generation++;
+        move_to(0, 0);
+        walk();
+      },
+      set_speed: function(speed) {
+        player.speed = speed;
+        changed();
+      },
+      on_change: function(callback) {
+        listeners.push(callback);
+      },
+      remove: function() {
+        player.playing = false;
+        generation++;
+        get_bob().remove();
+        get_trail().remove();
+        d3.selectAll("circle.node").classed("node_visited_"+player_id, false);
+        unselect();
+        delete self.players[player_id];
+      }
+    };
+    this.players[player_id] = player;
+
+    function changed() {
+      _(listeners).each(function(callback) { callback(player); });
+    }
+
+    // The point this player has highlighted, see highlight
+    var selected_id = null;
+    function unselect() {
+      if (selected_id) self.select_node(selected_id).classed("node_selected", false);
+      selected_id = null;
+    }
+
+    function get_bob() {
+      var bob = self.svg.select( "#" + player_id );
+      if (bob.empty()) {
+        bob = self.svg.append( "path" ) 
           .attr( "id", player_id )
           .attr( "class", "st0" )
           .attr( "d", ZILLA );
+        if (options.colour) bob.style( "fill", options.colour );
+      }
+      return bob;
+    }
 
-      return bob; 
+    function get_trail() {
+      var trail = self.trail_layer.select( "#trail_" + player_id );
+      if (trail.empty()) {
+        trail = self.trail_layer.append( "path" )
+          .attr( "id", "trail_" + player_id )
+          .attr( "class", "trail trail_" + player_id );
+        if (options.colour) trail.style( "stroke", options.colour );
+      }
+      return trail;
     }
 
-    function animate_first_step( animation, target, i, player_id) { 
-      var l = animation.length; 
-      var current_point = animation[i][2]; 
-      d3.select("#" + current_point)
-        .transition()
-        .style("fill", COLOR_START); 
+    function translate(i) {
+      return "translate(" + x(points[i].x) + "," + y(points[i].y) + ")";
+    }
+
+    // Everything up to and including position i has been visited, and the next point
+    // we haven't been to yet is highlighted (and only that one, we may have stepped back)
+    function highlight(i) {
+      var visited_points = {};
+      _(points.slice(0, i+1)).each(function(p) { visited_points[p.id] = true; });
+      self.svg.selectAll( "circle.node" )
+        .classed("node_visited_"+player_id, function(d) { return visited_points[d.id] == true; });
+      var next = _(points.slice(i)).detect(function(p) { return !visited_points[p.id]; });
+      unselect();
+      if (next) {
+        self.select_node(next.id).classed("node_selected", true);
+        selected_id = next.id;
+      }
+
+      get_trail().attr( "d", "M" + _(points.slice(0, i+1)).map(function(p) { return x(p.x) + "," + y(p.y); }).join("L") );
+    }
 
-      target
+    // Jump (well, glide for 'duration' ms) straight to position i
+    function move_to(i, duration) {
+      player.position = i;
+      player.distance = distances[i];
+      player.finished = false;
+      get_bob()
         .transition()
-        .attr(  "transform", "translate(" + animation[i][0] + "," + animation[i][1] + ")" ) 
-        .each( "end", function() { 
-          visited_points[current_point] = true
-          return animate_second_step( animation, i, target, l, player_id ); 
-        }); 
+        .duration(duration)
+        .attr( "opacity", 1 )
+        .attr( "transform", translate(i) );
+      highlight(i);
+      changed();
     }
-    
-    function highlight_next_unvisited_point(animation, i, player_id) {
-      for(j=i; j<animation.length; j++) {
-        current_point = animation[j][2];
-        if (visited_points[current_point]) continue;  // we've visited this point
-        //$('#'+visited_points[animation[j].id]).addClass("node_selected")
-        // we haven't visted... highlight
-        d3.select("#" + current_point).classed("node_selected", true)
+
+    // Walk leg after leg for as long as we're playing
+    function walk() {
+      var my_generation = generation;
+      if (!player.playing) return;
+
+      if (player.position >= player.legs) {
+        finish(my_generation);
         return;
       }
-    }
-    
-    function highlight_this_point(animation, i, player_id) {
-      current_point = animation[i][2];
-      d3.select("#" + current_point).classed("node_visited_"+player_id, true)
+
+      var i = player.position + 1;
+      get_bob()
+        .transition()
+        .delay(NODE_DELAY / player.speed)
+        .duration(500 / player.speed)
+        .ease( "linear" )
+        .attr( "transform", translate(i) )
+        .each( "end", function() { 
+          window.setTimeout(function() {
+            if (my_generation != generation) return;
+            player.position = i;
+            player.distance = distances[i];
+            highlight(i);
+            changed();
+            walk();
+          }, 0)
+        });
     }
 
-    function animate_second_step( animation, i, target, l, player_id ) { 
-      
-      highlight_next_unvisited_point(animation, i, player_id);
-      
-      if ( i < l ) { 
-
-        var current_point = animation[i][2]; 
-
-        target        
-          .transition()
-          .delay(NODE_DELAY)
-          .duration(500)
-          .ease( "linear" )
-          .attr( "transform", "translate(" + animation[i][0] + "," + animation[i][1] + ")" )
-          .each( "end", function() { 
-            window.setTimeout(function() {
-              highlight_this_point(animation, i, player_id);
-              i++;
-              visited_points[current_point] = true
-              animate_second_step( animation, i, target, l, player_id );       
-            }, 0)
-            
+    function finish(my_generation) {
+      player.playing = false;
+      player.finished = true;
+      changed();
+      get_bob()
+        .transition()
+        .delay(NODE_DELAY / player.speed)
+        .duration(500 / player.speed)
+        .ease( "linear" )
+          .attr( "transform", "scale( 50, 50 )"  ) 
+          .attr( "opacity", "0.8")
+          .each( "end", function() {
+            if (my_generation == generation) get_bob().remove();
           });
+    }
 
-      } else { 
-        target
-          .transition()
-          .delay(NODE_DELAY)
-          .duration(500)
-          .ease( "linear" )
-            .attr( "transform", "scale( 50, 50 )"  ) 
-            .attr( "opacity", "0.8")
-            .remove(); 
-        }
-      }
-      
-    animate_first_step( animate_bob, bob, i, player_id ); 
+    // Off we go, from the start point
+    if (points.length == 0) return player;
+    self.select_node(points[0].id)
+      .transition()
+      .style("fill", COLOR_START); 
+    get_bob()
+      .transition()
+      .attr( "transform", translate(0) ) 
+      .each( "end", function() { 
+        if (generation != 0) return;   // someone's already pressed a button
+        highlight(0);
+        changed();
+        walk();
+      }); 
+
+    return player;
   }
 
 
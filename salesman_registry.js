@@ -0,0 +1,78 @@
+/***
+* Where the salesmen sign up, so the page's control panel, the command line tool and
+* the solver worker can all find them by name instead of keeping their own lists.
+* Each salesman registers itself at the bottom of its own file:
+*
+*   SalesmanRegistry.salesmen.register({
+*     name: "lk",
+*     label: "Lin-Kernighan",
+*     description: "Chained Lin-Kernighan",
+*     params: {
+*       kicks: { type: "integer", default: null, min: 0, description: "double-bridge kicks" }
+*     },
+*     create: function(rng, params) { return new LKSalesman(_.extend({ rng: rng }, params)); }
+*   });
+*
+*   var salesman = SalesmanRegistry.salesmen.create("lk", rng, { kicks: 10 });
+*
+* Parameter types are "integer", "number", "boolean" and "json" (anything at all).
+* A param's default is what the salesman uses when it's left out; it's there for
+* UIs to show, create() doesn't fill it in.
+**/
+function SalesmanRegistry() {
+
+  var TYPES = {
+    integer: function(v) { return typeof v == "number" && isFinite(v) && Math.floor(v) == v; },
+    number: function(v) { return typeof v == "number" && isFinite(v); },
+    boolean: function(v) { return typeof v == "boolean"; },
+    json: function(v) { return true; }
+  };
+
+  this.entries = [];
+
+
+  this.register = function(entry) {
+    if (this.get(entry.name)) throw new SolverError("A salesman called " + entry.name + " is already registered!");
+    this.entries.push(_.defaults(entry, { label: entry.name, description: "", params: {} }));
+    return entry;
+  }
+
+
+  this.get = function(name) {
+    return _(this.entries).detect(function(e) { return e.name == name; });
+  }
+
+
+  this.list = function() {
+    return this.entries.slice();
+  }
+
+
+  /**
+  * A new salesman. Params left out (or null) are up to the salesman; anything it
+  * doesn't take, or of the wrong type, is an error.
+  **/
+  this.create = function(name, rng, params) {
+    var entry = this.get(name);
+    if (entry == null) {
+      throw new SolverError("Unknown algorithm '" + name + "', try one of: " + _(this.entries).pluck("name").join(", "));
+    }
+
+    var given = {};
+    _(params || {}).each(function(value, key) {
+      var schema = entry.params[key];
+      if (schema == null) throw new SolverError(name + " doesn't take a parameter called " + key + "!");
+      if (value == null) return;
+      if (!TYPES[schema.type](value)) throw new SolverError(name + "'s " + key + " must be of type " + schema.type + "! " + value);
+      if (schema.min != null && value < schema.min) throw new SolverError(name + "'s " + key + " must be at least " + schema.min + "! " + value);
+      if (schema.max != null && value > schema.max) throw new SolverError(name + "'s " + key + " must be at most " + schema.max + "! " + value);
+      given[key] = value;
+    });
+    return entry.create(rng, given);
+  }
+
+}
+
+
+// The registry everyone uses
+SalesmanRegistry.salesmen = new SalesmanRegistry();
@@ -0,0 +1,56 @@
+/***
+* A small seedable random number generator (mulberry32). Anything that needs
+* randomness (graph builders, stochastic salesmen) should draw from one of these
+* instead of Math.random, so a graph or a run can be replayed from its seed.
+*
+* Any object with a random() method returning a float in [0, 1) can be plugged
+* in wherever a SeededRandom is expected.
+**/
+function SeededRandom(seed) {
+
+  // No seed given? Pick one, so we can still report it and replay later
+  if (seed == null || isNaN(parseInt(seed, 10))) {
+    seed = Math.floor(Math.random() * 4294967296);
+  }
+  this.seed = parseInt(seed, 10) >>> 0;
+  var state = this.seed;
+
+
+  /**
+  * Returns a float in [0, 1), just like Math.random
+  **/
+  this.random = function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+
+  /**
+  * Returns an integer in [0, n)
+  **/
+  this.random_int = function(n) {
+    return Math.floor(this.random() * n);
+  }
+
+
+  /**
+  * Rewinds the generator back to its seed
+  **/
+  this.reset = function() {
+    state = this.seed;
+  }
+
+}
+
+
+/**
+* Reads the 'seed' query parameter from a location search string
+* (e.g. "?seed=1234"). Returns null if there isn't one.
+**/
+SeededRandom.seed_from_query = function(search) {
+  var match = /[?&]seed=(\d+)/.exec(search || "");
+  return match ? parseInt(match[1], 10) : null;
+}
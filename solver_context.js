@@ -0,0 +1,50 @@
+/***
+* What a salesman gets as the third argument of compute_plan(graph, start_point_id, context).
+* It tells the salesman how long it has, and lets it hand over improving plans as it
+* goes, so that whoever is running it always has *something* to show:
+*
+*   if (context.expired()) break;               // out of time, wrap it up
+*   context.on_progress({ iteration: i, iterations: n, cost: cost_this_round,
+*                         best_cost: best_cost, best_plan: best_plan });
+*
+* The ant salesmen also report pheromone: [[point_id, point_id, level]], one per arc,
+* which Renderer.add_pheromone_snapshot can draw.
+*
+* The Harness builds one for every run (see Harness.run_algorithm), and keeps every
+* reported plan along with when it was reported. Salesmen are also called directly,
+* without one, so the context is always optional: without it there's no deadline
+* and nobody to report to, and a salesman just runs to the end.
+*
+* options:
+*   time_budget: milliseconds the salesman has (default: no limit)
+*   on_progress: also called with every progress report
+**/
+function SolverContext(options) {
+
+  options = options || {};
+
+  this.start_time = new Date();
+  this.deadline = options.time_budget == null ? null : this.start_time.getTime() + options.time_budget;
+  this.reports = [];
+
+
+  /**
+  * Milliseconds left before the deadline (Infinity if there's no budget)
+  **/
+  this.time_left = function() {
+    if (this.deadline == null) return Number.POSITIVE_INFINITY;
+    return Math.max(0, this.deadline - new Date().getTime());
+  }
+
+
+  this.expired = function() {
+    return this.time_left() <= 0;
+  }
+
+
+  this.on_progress = function(progress) {
+    this.reports.push({ plan: progress.best_plan, time: new Date() - this.start_time });
+    if (options.on_progress) options.on_progress(progress);
+  }
+
+}
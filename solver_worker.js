@@ -0,0 +1,67 @@
+/***
+* Web Worker that runs a salesman off the page's main thread, so long runs (looking
+* at you, AntSalesman) don't freeze the renderer. Use it through
+* Harness.run_algorithm_in_worker rather than talking to it directly.
+*
+* It's sent one message:
+*   { algorithm: registered name, e.g. "ant" (see SalesmanRegistry), options: its params,
+*     seed, graph, start_point_id, time_budget }
+* and answers with any number of
+*   { type: "progress", progress: { iteration, iterations, cost, best_cost, best_plan } }
+* followed by one of
+*   { type: "done", plan, cost }
+*   { type: "error", message }
+* The costs in progress messages are the harness's cost of best_plan.
+*
+* Or, to work out the graph's lower bound (see Harness.compute_lower_bound_in_worker):
+*   { lower_bound: true, graph }
+* answered by { type: "done", bound } or { type: "error", message }.
+**/
+importScripts(
+  "vendor/underscore.js",
+  "tsp_errors.js",
+  "seeded_random.js",
+  "min_heap.js",
+  "graph_index.js",
+  "metric_closure.js",
+  "local_search.js",
+  "held_karp_bound.js",
+  "solver_context.js",
+  "plan_validator.js",
+  "harness.js",
+  "salesman_registry.js",
+  "greedy_salesman.js",
+  "quick_salesman.js",
+  "sequential_salesman.js",
+  "closure_salesman.js",
+  "ant_salesman.js",
+  "acs_salesman.js",
+  "ant_colony_strategies.js",
+  "ant_colony.js",
+  "lk_salesman.js",
+  "exact_salesman.js"
+);
+
+
+self.onmessage = function(event) {
+  var message = event.data;
+  var harness = new Harness();
+
+  try {
+    if (message.lower_bound) {
+      self.postMessage({ type: "done", bound: harness.compute_lower_bound(message.graph) });
+      return;
+    }
+    var salesman = SalesmanRegistry.salesmen.create(message.algorithm, new SeededRandom(message.seed), message.options);
+    var plan = harness.run_algorithm(message.graph, message.start_point_id, salesman, {
+      time_budget: message.time_budget,
+      on_progress: function(progress) {
+        var best_cost = harness.compute_plan_cost(message.graph, progress.best_plan);
+        self.postMessage({ type: "progress", progress: _.extend({}, progress, { best_cost: best_cost }) });
+      }
+    });
+    self.postMessage({ type: "done", plan: plan, cost: harness.compute_plan_cost(message.graph, plan) });
+  } catch (e) {
+    self.postMessage({ type: "error", message: String(e && e.message ? e.message : e) });
+  }
+}
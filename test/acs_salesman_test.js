@@ -0,0 +1,124 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+function random_graph(seed, n) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: n }).build_graph();
+}
+
+
+function colony(seed, n, options) {
+  var acs = new tsp.AcsSalesman(_.extend({ rng: new tsp.SeededRandom(seed) }, options));
+  var matrix = new tsp.MetricClosure(random_graph(seed, n)).get_distance_matrix().matrix;
+  acs.init_colony(matrix);
+  return acs;
+}
+
+
+function fill(pheromone, value) {
+  _.each(pheromone, function(row) {
+    for (var j = 0; j < row.length; j++) row[j] = value;
+  });
+}
+
+
+test("pheromone starts at tau0 = 1 / (n * nearest neighbour tour length)", function() {
+  var acs = colony(1, 12);
+  var nearest = tsp.MetricClosure.tour_length(tsp.MetricClosure.nearest_neighbour_tour(acs.matrix, 0), acs.matrix);
+
+  assert.ok(Math.abs(acs.tau0 - 1 / (12 * nearest)) < 1e-15);
+  _.each(acs.pheromone, function(row) {
+    _.each(Array.from(row), function(tau) { assert.strictEqual(tau, acs.tau0); });
+  });
+  assert.strictEqual(acs.candidate_lists[0].length, 11);
+});
+
+
+test("each ant visits every city once and pulls the arcs it takes towards tau0", function() {
+  var acs = colony(2, 12);
+  fill(acs.pheromone, 2 * acs.tau0);
+  var tour = acs.construct_tour(5);
+
+  assert.strictEqual(tour[0], 5);
+  assert.deepStrictEqual(plain(tour).sort(function(a, b) { return a - b; }), plain(_.range(12)));
+
+  var taken = {};
+  _.each(tour, function(city, k) {
+    var next = tour[(k + 1) % tour.length];
+    taken[city + "," + next] = taken[next + "," + city] = true;
+  });
+  for (var i = 0; i < 12; i++) {
+    for (var j = 0; j < 12; j++) {
+      var expected = taken[i + "," + j] ? 0.9 * 2 * acs.tau0 + 0.1 * acs.tau0 : 2 * acs.tau0;
+      assert.ok(Math.abs(acs.pheromone[i][j] - expected) < 1e-15, i + "," + j);
+    }
+  }
+});
+
+
+test("the global update only lays pheromone on the best tour", function() {
+  var acs = colony(3, 8);
+  var best = [0, 2, 4, 6, 1, 3, 5, 7];
+  var length = tsp.MetricClosure.tour_length(best, acs.matrix);
+  acs.global_update(best, length);
+
+  for (var i = 0; i < 8; i++) {
+    for (var j = 0; j < 8; j++) {
+      var on_tour = _.any(best, function(city, k) {
+        var next = best[(k + 1) % 8];
+        return (city == i && next == j) || (city == j && next == i);
+      });
+      var expected = on_tour ? 0.9 * acs.tau0 + 0.1 / length : acs.tau0;
+      assert.ok(Math.abs(acs.pheromone[i][j] - expected) < 1e-15, i + "," + j);
+    }
+  }
+});
+
+
+test("with q0 = 1 the first ant walks the nearest neighbour tour", function() {
+  var acs = colony(4, 15, { q0: 1, candidates: 5 });
+  assert.deepStrictEqual(plain(acs.construct_tour(3)), plain(tsp.MetricClosure.nearest_neighbour_tour(acs.matrix, 3)));
+});
+
+
+test("finds the optimum of small graphs, reporting as it goes", function() {
+  _.each([1, 2, 3], function(seed) {
+    var graph = random_graph(seed, 10);
+    var harness = new tsp.Harness();
+    var optimum = harness.compute_plan_cost(graph, harness.run_algorithm(graph, "pt_0", new tsp.ExactSalesman()));
+    var reports = [];
+    var plan = harness.run_algorithm(graph, "pt_0", new tsp.AcsSalesman({ rng: new tsp.SeededRandom(seed), iterations: 100 }), {
+      on_progress: function(progress) { reports.push(progress); }
+    });
+
+    assert.strictEqual(plan[0], "pt_0");
+    assert.ok(Math.abs(harness.compute_plan_cost(graph, plan) - optimum) < 1e-6, "seed " + seed);
+    assert.strictEqual(reports.length, 100);
+    _.each(reports, function(progress, i) {
+      assert.ok(progress.cost >= progress.best_cost - 1e-9);
+      if (i > 0) assert.ok(progress.best_cost <= reports[i - 1].best_cost);
+      assert.strictEqual(progress.pheromone.length, graph.arcs.length);
+    });
+  });
+});
+
+
+test("the same seed replays the same plan, and tiny graphs still get one", function() {
+  var graph = random_graph(5, 30);
+  var run = function() {
+    return JSON.stringify(new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.AcsSalesman({ rng: new tsp.SeededRandom(8), iterations: 20 })));
+  };
+  assert.strictEqual(run(), run());
+
+  var pair = { points: [{ id: "pt_0", x: 0, y: 0 }, { id: "pt_1", x: 3, y: 4 }], arcs: [["pt_0", "pt_1"]] };
+  var harness = new tsp.Harness();
+  assert.strictEqual(harness.compute_plan_cost(pair, harness.run_algorithm(pair, "pt_0", new tsp.AcsSalesman())), 10);
+});
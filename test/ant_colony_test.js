@@ -0,0 +1,176 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function random_graph(seed, n) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: n }).build_graph();
+}
+
+
+// A colony set up on a random graph's closure, without running it
+function colony(seed, n, options) {
+  var ants = new tsp.AntColony(_.extend({ rng: new tsp.SeededRandom(seed) }, options));
+  ants.init_colony(new tsp.MetricClosure(random_graph(seed, n)).get_distance_matrix().matrix);
+  return ants;
+}
+
+
+function ant(tour, matrix) {
+  return { tour: tour, length: tsp.MetricClosure.tour_length(tour, matrix) };
+}
+
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= 1e-12 * Math.max(1, Math.abs(expected)), actual + " != " + expected);
+}
+
+
+test("strategies are found by name, and unknown names are refused", function() {
+  assert.ok(new tsp.AntColony().strategy instanceof tsp.MaxMinStrategy);
+  assert.ok(new tsp.AntColony({ strategy: "elitist" }).strategy instanceof tsp.ElitistStrategy);
+  assert.strictEqual(new tsp.AntColony({ strategy: "rank", strategy_options: { ranks: 3 } }).strategy.options.ranks, 3);
+  assert.throws(function() { new tsp.AntColony({ strategy: "queen" }); }, function(e) {
+    return e instanceof tsp.SolverError && /queen/.test(e.message);
+  });
+});
+
+
+test("a strategy object gets each iteration's ants shortest first and the best so far", function() {
+  var calls = [];
+  var best_length = Number.POSITIVE_INFINITY;
+  var strategy = {
+    init: function(colony) { calls.push("init"); colony.set_pheromone(1); },
+    update: function(colony, ants, best, iteration) {
+      calls.push(iteration);
+      assert.strictEqual(ants.length, 4);
+      for (var i = 1; i < ants.length; i++) assert.ok(ants[i].length >= ants[i - 1].length);
+      best_length = Math.min(best_length, ants[0].length);
+      assert.strictEqual(best.length, best_length);
+    }
+  };
+  var graph = random_graph(1, 12);
+  new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.AntColony({ rng: new tsp.SeededRandom(1), strategy: strategy, ant_count: 4, iterations: 5 }));
+
+  assert.deepStrictEqual(calls, ["init", 0, 1, 2, 3, 4]);
+});
+
+
+test("MAX-MIN keeps the pheromone between its limits and resets when stuck", function() {
+  var mmas = new tsp.MaxMinStrategy({ reinit_after: 15 });
+  var checked = 0;
+  var strategy = {
+    init: function(colony) {
+      mmas.init(colony);
+      close(mmas.tau_max, 1 / (0.02 * colony.nearest_neighbour_length));
+      assert.ok(mmas.tau_min < mmas.tau_max);
+    },
+    update: function(colony, ants, best, iteration) {
+      mmas.update(colony, ants, best, iteration);
+      close(mmas.tau_max, 1 / (0.02 * best.length));
+      _.each(colony.pheromone, function(row) {
+        _.each(Array.from(row), function(tau) { assert.ok(tau >= mmas.tau_min && tau <= mmas.tau_max); });
+      });
+      checked++;
+    }
+  };
+  var graph = random_graph(2, 15);
+  new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.AntColony({ rng: new tsp.SeededRandom(2), strategy: strategy, ant_count: 5, iterations: 60 }));
+
+  assert.strictEqual(checked, 60);
+  assert.ok(mmas.reinitializations > 0);
+});
+
+
+test("elitist: every ant deposits and the best so far gets elitist_weight more", function() {
+  var c = colony(3, 6, { ant_count: 2 });
+  var elitist = new tsp.ElitistStrategy({ elitist_weight: 4 });
+  elitist.init(c);
+  var tau = (4 + 2) / (0.5 * c.nearest_neighbour_length);
+  close(c.pheromone[0][1], tau);
+
+  var best = ant([0, 1, 2, 3, 4, 5], c.matrix);
+  var other = ant([0, 2, 4, 1, 3, 5], c.matrix);
+  elitist.update(c, [best, other], best, 0);
+
+  close(c.pheromone[0][1], 0.5 * tau + 1 / best.length + 4 / best.length);   // only on best
+  close(c.pheromone[0][2], 0.5 * tau + 1 / other.length);                     // only on other
+  close(c.pheromone[5][0], 0.5 * tau + 1 / best.length + 4 / best.length + 1 / other.length);  // on both
+  close(c.pheromone[0][3], 0.5 * tau);                                        // on neither
+});
+
+
+test("rank-based: only the top ranks - 1 ants deposit, weighted by rank", function() {
+  var c = colony(4, 6);
+  var rank = new tsp.RankBasedStrategy({ ranks: 3 });
+  rank.init(c);
+  var tau = 0.5 * 3 * 2 / (0.1 * c.nearest_neighbour_length);
+  close(c.pheromone[0][1], tau);
+
+  var ants = _.sortBy([ant([0, 1, 2, 3, 4, 5], c.matrix), ant([0, 2, 1, 3, 4, 5], c.matrix), ant([0, 3, 1, 4, 2, 5], c.matrix)],
+                      function(a) { return a.length; });
+  var best = ant([0, 5, 4, 3, 2, 1], c.matrix);
+  rank.update(c, ants, best, 0);
+
+  var expected = function(i, j) {
+    var on = function(a) {
+      return _.any(a.tour, function(city, k) {
+        var next = a.tour[(k + 1) % a.tour.length];
+        return (city == i && next == j) || (city == j && next == i);
+      });
+    };
+    var sum = 0.9 * tau;
+    if (on(ants[0])) sum += 2 / ants[0].length;
+    if (on(ants[1])) sum += 1 / ants[1].length;
+    if (on(best)) sum += 3 / best.length;
+    return sum;
+  };
+  for (var i = 0; i < 6; i++) {
+    for (var j = 0; j < 6; j++) {
+      if (i != j) close(c.pheromone[i][j], expected(i, j));
+    }
+  }
+});
+
+
+test("every registered variant gives a valid plan near the optimum and replays from its seed", function() {
+  var graph = random_graph(5, 12);
+  var harness = new tsp.Harness();
+  var optimum = harness.compute_plan_cost(graph, harness.run_algorithm(graph, "pt_0", new tsp.ExactSalesman()));
+
+  _.each(["mmas", "elitist", "rank"], function(name) {
+    var run = function() {
+      var salesman = tsp.SalesmanRegistry.salesmen.create(name, new tsp.SeededRandom(3), { ant_count: 10, iterations: 60 });
+      return harness.run_algorithm(graph, "pt_0", salesman);
+    };
+    var plan = run();
+
+    assert.strictEqual(plan[0], "pt_0");
+    assert.ok(harness.validate_plan(graph, plan, "pt_0").valid, name);
+    assert.ok(harness.compute_plan_cost(graph, plan) <= 1.05 * optimum, name);
+    assert.strictEqual(JSON.stringify(run()), JSON.stringify(plan), name);
+  });
+});
+
+
+test("with local search on, the strategy only ever sees locally optimal tours", function() {
+  var search = new tsp.LocalSearch({ moves: ["2opt", "oropt"] });
+  var seen = 0;
+  var strategy = {
+    init: function(colony) { colony.set_pheromone(1); },
+    update: function(colony, ants, best, iteration) {
+      _.each(ants, function(a) {
+        var polished = search.optimize_tour(a.tour, colony.matrix);
+        assert.ok(tsp.MetricClosure.tour_length(polished, colony.matrix) >= a.length - 1e-9);
+        seen++;
+      });
+    }
+  };
+  var graph = random_graph(6, 25);
+  new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.AntColony({ rng: new tsp.SeededRandom(6), strategy: strategy, ant_count: 4, iterations: 3,
+                                                                     local_search: { moves: ["2opt", "oropt"] } }));
+
+  assert.strictEqual(seen, 12);
+});
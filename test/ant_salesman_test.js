@@ -0,0 +1,45 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function random_graph(seed, num_points) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: num_points }).build_graph();
+}
+
+
+// Runs the ants and hands back every progress report along with the plan
+function run_ants(graph, options) {
+  var reports = [];
+  var context = new tsp.SolverContext({ on_progress: function(progress) { reports.push(progress); } });
+  var plan = new tsp.AntSalesman(options).compute_plan(graph, "pt_0", context);
+  return { plan: plan, reports: reports };
+}
+
+
+test("the ants' reported costs are the real costs of whole tours, trapped ants included", function() {
+  var harness = new tsp.Harness();
+  _([1, 2, 3]).each(function(seed) {
+    var graph = random_graph(seed, 40);
+    var run = run_ants(graph, { rng: new tsp.SeededRandom(seed), walk_count: 6 });
+
+    assert.strictEqual(run.reports.length, 6);
+    _(run.reports).each(function(progress) {
+      assert.ok(Math.abs(harness.compute_plan_cost(graph, progress.best_plan) - progress.best_cost) < 1e-6);
+      assert.ok(progress.cost >= progress.best_cost - 1e-9, "a round's best is a whole tour, never a squashed ant's part of one");
+    });
+    assert.ok(Math.abs(harness.compute_plan_cost(graph, run.plan) - _(run.reports).last().best_cost) < 1e-6);
+  });
+});
+
+
+test("with local search on, the ants' best walk is already 2-opt optimal", function() {
+  var harness = new tsp.Harness();
+  var graph = random_graph(4, 30);
+  var run = run_ants(graph, { rng: new tsp.SeededRandom(4), walk_count: 3, ant_count: 5, local_search: { moves: ["2opt"] } });
+  var improved = harness.improve_plan(graph, run.plan, new tsp.LocalSearch({ moves: ["2opt"] }));
+
+  assert.ok(improved.after >= improved.before - 1e-6);
+});
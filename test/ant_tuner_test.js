@@ -0,0 +1,123 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+var SPACE = {
+  ant_count: { min: 2, max: 6, integer: true, values: [2, 4] },
+  beta:      { min: 1, max: 5, values: [1, 3, 5] }
+};
+
+
+// Small colonies on small graphs, so a search takes moments
+function tuner(seed, space) {
+  return new tsp.AntTuner({ space: space || SPACE, base: { walk_count: 2 }, sizes: [10], graphs: 2,
+                            rng: new tsp.SeededRandom(seed) });
+}
+
+
+function assert_best_of(result) {
+  var cheapest = _.min(_.pluck(result.history, "cost"));
+  assert.strictEqual(result.cost, cheapest);
+  assert.ok(_.any(result.history, function(h) { return h.config === result.best; }));
+}
+
+
+function assert_in_space(config) {
+  _.each(SPACE, function(range, name) {
+    assert.ok(config[name] >= range.min && config[name] <= range.max, name + " " + config[name]);
+    if (range.integer) assert.strictEqual(config[name], Math.round(config[name]));
+  });
+}
+
+
+test("grid search tries every combination and keeps the cheapest", function() {
+  var t = tuner(1);
+  var result = t.grid_search();
+
+  assert.strictEqual(result.history.length, 6);
+  assert.deepStrictEqual(plain(_.map(result.history, function(h) { return [h.config.ant_count, h.config.beta]; })),
+                         [[2, 1], [2, 3], [2, 5], [4, 1], [4, 3], [4, 5]]);
+  assert_best_of(result);
+  assert.strictEqual(t.evaluate(result.best), result.cost);
+});
+
+
+test("a configuration's cost is its mean over the graph set", function() {
+  var t = tuner(1);
+  var config = { ant_count: 3, beta: 2 };
+
+  assert.strictEqual(t.instances.length, 2);
+  assert.strictEqual(t.evaluate(config), (t.evaluate_on(config, 0) + t.evaluate_on(config, 1)) / 2);
+
+  var graph = t.instances[1].graph;
+  var harness = new tsp.Harness();
+  var plan = harness.run_algorithm(graph, "pt_0", new tsp.AntSalesman({ rng: new tsp.SeededRandom(t.instances[1].seed), walk_count: 2, ant_count: 3, beta: 2 }));
+  assert.strictEqual(t.evaluate_on(config, 1), harness.compute_plan_cost(graph, plan));
+});
+
+
+test("random search and iterated racing stay in the space, keep their best and replay from a seed", function() {
+  var random = tuner(3).random_search(5);
+  assert.strictEqual(random.history.length, 5);
+  _.each(random.history, function(h) { assert_in_space(h.config); });
+  assert_best_of(random);
+  assert.deepStrictEqual(plain(tuner(3).random_search(5)), plain(random));
+
+  var race = tuner(4).iterated_race({ iterations: 2, candidates: 4, elites: 2 });
+  assert.ok(race.history.length >= 2);
+  _.each(race.history, function(h) { assert_in_space(h.config); });
+  assert_best_of(race);
+  assert.deepStrictEqual(plain(tuner(4).iterated_race({ iterations: 2, candidates: 4, elites: 2 })), plain(race));
+});
+
+
+test("sample_near never leaves the ranges", function() {
+  var t = tuner(5);
+  _.times(200, function() {
+    assert_in_space(t.sample_near({ ant_count: 6, beta: 1 }, 2));
+  });
+});
+
+
+test("sensitivity sweeps each parameter from min to max, biggest spread first", function() {
+  var t = tuner(6);
+  var rows = t.sensitivity({ ant_count: 4, beta: 3 }, 3);
+
+  assert.strictEqual(rows.length, 2);
+  assert.ok(rows[0].spread >= rows[1].spread);
+  var beta = _.find(rows, function(row) { return row.parameter == "beta"; });
+  assert.deepStrictEqual(plain(_.pluck(beta.values, "value")), [1, 3, 5]);
+  _.each(beta.values, function(v) {
+    assert.strictEqual(v.cost, t.evaluate({ ant_count: 4, beta: v.value }));
+  });
+  var costs = _.pluck(beta.values, "cost");
+  assert.ok(Math.abs(beta.spread - 100 * (_.max(costs) - _.min(costs)) / _.min(costs)) < 1e-9);
+
+  var two = t.sensitivity({ ant_count: 4, beta: 3 }, 2);
+  assert.deepStrictEqual(plain(_.pluck(_.find(two, function(row) { return row.parameter == "ant_count"; }).values, "value")), [2, 6]);
+
+  _.each([1, 0, -1], function(steps) {
+    assert.throws(function() { t.sensitivity({ ant_count: 4, beta: 3 }, steps); }, function(e) {
+      return e instanceof tsp.SolverError;
+    });
+  });
+});
+
+
+test("the report lists the best configuration, the default's cost and the sensitivity", function() {
+  var t = tuner(7, { beta: SPACE.beta });
+  var result = t.grid_search();
+  var report = t.format_report(result, t.sensitivity(result.best, 2));
+
+  assert.ok(report.indexOf("beta: " + result.best.beta) > 0, report);
+  assert.ok(/Default configuration: mean cost \d+\.\d/.test(report), report);
+  assert.ok(/beta: \d+\.\d%  \(1 -> \d+\.\d, 5 -> \d+\.\d\)/.test(report), report);
+});
@@ -0,0 +1,121 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+var quick = { name: "quick", create: function(rng) { return new tsp.QuickSalesman(); } };
+var exact = { name: "exact", create: function(rng) { return new tsp.ExactSalesman({ rng: rng }); } };
+var broken = { name: "broken", create: function(rng) { return { compute_plan: function() { return ["pt_0", "nowhere"]; } }; } };
+
+
+function result(algorithm, seed, cost, time) {
+  return { algorithm: algorithm, size: 10, seed: seed, cost: cost, time: time, valid: cost != null, gap: null };
+}
+
+
+test("every algorithm runs on every graph, each replayable from its seed", function() {
+  var seen = [];
+  var benchmark = new tsp.Benchmark({ algorithms: [quick, broken], sizes: [8, 12], graphs: 2, seed: 5,
+                                      on_result: function(r) { seen.push(r); } });
+  var results = benchmark.run();
+
+  assert.strictEqual(results.length, 8);
+  _.each(results, function(r, i) { assert.strictEqual(seen[i], r); });
+  assert.deepStrictEqual(plain(_.map(results, function(r) { return r.size + "/" + r.seed + "/" + r.algorithm; })),
+    ["8/5/quick", "8/5/broken", "8/6/quick", "8/6/broken", "12/5/quick", "12/5/broken", "12/6/quick", "12/6/broken"]);
+
+  var first = results[0];
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(5), { num_points: 8 }).build_graph();
+  var harness = new tsp.Harness();
+  assert.ok(first.valid);
+  assert.strictEqual(first.cost, harness.compute_plan_cost(graph, harness.run_algorithm(graph, "pt_0", new tsp.QuickSalesman())));
+
+  assert.ok(!results[1].valid);
+  assert.strictEqual(results[1].cost, null);
+  assert.ok(/nowhere/.test(results[1].error));
+});
+
+
+test("summarize works out the stats and wins, ties included, invalid runs left out", function() {
+  var benchmark = new tsp.Benchmark();
+  var rows = benchmark.summarize([
+    result("a", 1, 10, 1), result("b", 1, 10, 3),
+    result("a", 2, 20, 2), result("b", 2, 12, 5),
+    result("a", 3, 30, 3), result("b", 3, null, 7)
+  ]);
+  var a = _.find(rows, function(r) { return r.algorithm == "a"; });
+  var b = _.find(rows, function(r) { return r.algorithm == "b"; });
+
+  assert.strictEqual(a.runs, 3);
+  assert.strictEqual(a.valid, 3);
+  assert.strictEqual(a.mean, 20);
+  assert.strictEqual(a.median, 20);
+  assert.ok(Math.abs(a.stdev - Math.sqrt(200 / 3)) < 1e-9);
+  assert.strictEqual(a.min, 10);
+  assert.strictEqual(a.max, 30);
+  assert.strictEqual(a.mean_time, 2);
+  assert.strictEqual(a.wins, 2);
+  assert.strictEqual(a.mean_gap, null);
+
+  assert.strictEqual(b.valid, 2);
+  assert.strictEqual(b.median, 11);
+  assert.strictEqual(b.mean_time, 5);
+  assert.strictEqual(b.wins, 2);
+});
+
+
+test("the optimum gap is nothing for the exact salesman and never negative", function() {
+  var benchmark = new tsp.Benchmark({ algorithms: [quick, exact], sizes: [9], graphs: 3, gap: "optimum" });
+  var results = benchmark.run();
+
+  _.each(results, function(r) {
+    assert.ok(r.reference > 0);
+    assert.ok(r.gap >= -1e-9, r.algorithm + " " + r.gap);
+    if (r.algorithm == "exact") assert.ok(Math.abs(r.gap) < 1e-9);
+  });
+
+  var table = benchmark.format_table(benchmark.summarize(results));
+  assert.ok(/gap%$/.test(table.split("\n")[0]));
+  assert.ok(/ 0\.00$/.test(table.split("\n")[2]), table);
+
+  var csv = benchmark.to_csv(results).split("\n");
+  assert.ok(/,reference,gap$/.test(csv[0]));
+  assert.strictEqual(csv.length, 7);
+});
+
+
+test("the bound gap sits above the Held-Karp bound, and no gap means no column", function() {
+  var results = new tsp.Benchmark({ algorithms: [quick], sizes: [15], graphs: 2, gap: "bound" }).run();
+  _.each(results, function(r) {
+    assert.ok(r.gap >= 0);
+    assert.ok(Math.abs(r.reference - new tsp.HeldKarpBound().compute(
+      new tsp.RandomGraphBuilder(new tsp.SeededRandom(r.seed), { num_points: 15 }).build_graph()).bound) < 1e-9);
+  });
+
+  var plain = new tsp.Benchmark({ algorithms: [quick], sizes: [6], graphs: 1 });
+  var plain_results = plain.run();
+  assert.ok(!("gap" in plain_results[0]));
+  assert.ok(!/gap/.test(plain.format_table(plain.summarize(plain_results))));
+  assert.ok(!/gap/.test(plain.to_csv(plain_results)));
+
+  assert.throws(function() { new tsp.Benchmark({ gap: "best" }); }, function(e) {
+    return e instanceof tsp.SolverError;
+  });
+});
+
+
+test("mean, median and stdev", function() {
+  assert.strictEqual(tsp.Benchmark.mean([]), null);
+  assert.strictEqual(tsp.Benchmark.mean([1, 2, 6]), 3);
+  assert.strictEqual(tsp.Benchmark.median([5, 1, 3]), 3);
+  assert.strictEqual(tsp.Benchmark.median([4, 1, 3, 10]), 3.5);
+  assert.strictEqual(tsp.Benchmark.stdev([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+  assert.strictEqual(tsp.Benchmark.stdev([]), null);
+});
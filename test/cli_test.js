@@ -0,0 +1,132 @@
+var test = require("node:test");
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var tsp = require("..");
+
+var _ = tsp._;
+
+var BIN = path.join(__dirname, "..", "bin", "tsp");
+
+
+function tsp_cli(args) {
+  var run = child_process.spawnSync(process.execPath, [BIN].concat(args), { encoding: "utf8", timeout: 60000 });
+  if (run.error) throw run.error;
+  return run;
+}
+
+
+// Runs fn with a scratch directory, and cleans it up after
+function in_temp_dir(fn) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), "tsp-cli-"));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+
+test("generate builds the same graph from the same seed, in either format", function() {
+  var run = tsp_cli(["generate", "--points", "12", "--seed", "3"]);
+  var graph = JSON.parse(run.stdout);
+
+  assert.strictEqual(run.status, 0);
+  assert.strictEqual(run.stderr, "Seed: 3\n");
+  assert.strictEqual(graph.points.length, 12);
+  var built = new tsp.RandomGraphBuilder(new tsp.SeededRandom(3), { num_points: 12 }).build_graph();
+  assert.strictEqual(JSON.stringify(graph.points), JSON.stringify(built.points));
+  assert.strictEqual(JSON.stringify(graph.arcs), JSON.stringify(built.arcs));
+  assert.strictEqual(tsp_cli(["generate", "--points", "12", "--seed", "3"]).stdout, run.stdout);
+
+  var tsplib = tsp_cli(["generate", "--points", "12", "--seed", "3", "--format", "tsplib"]).stdout;
+  assert.ok(/^DIMENSION\s*:\s*12$/m.test(tsplib), tsplib);
+});
+
+
+test("solve prints the plan and its cost, and verify checks a saved plan", function() {
+  in_temp_dir(function(dir) {
+    var graph_file = path.join(dir, "g.json");
+    var plan_file = path.join(dir, "g.plan.json");
+    assert.strictEqual(tsp_cli(["generate", "--points", "15", "--seed", "4", "--out", graph_file]).status, 0);
+
+    var run = tsp_cli(["solve", "--algo", "lk", "--graph", graph_file, "--seed", "2", "--bound", "--plan-out", plan_file]);
+    assert.strictEqual(run.status, 0, run.stderr);
+    var result = JSON.parse(run.stdout);
+    var graph = JSON.parse(fs.readFileSync(graph_file, "utf8"));
+
+    assert.strictEqual(result.algorithm, "lk");
+    assert.strictEqual(result.seed, 2);
+    assert.strictEqual(result.plan[0], "pt_0");
+    assert.ok(Math.abs(result.cost - new tsp.Harness().compute_plan_cost(graph, result.plan)) < 1e-9);
+    assert.ok(result.lower_bound <= result.cost + 1e-6);
+
+    var verified = tsp_cli(["verify", "--graph", graph_file, "--plan", plan_file]);
+    assert.strictEqual(verified.status, 0, verified.stderr);
+    assert.ok(JSON.parse(verified.stdout).cost_matches);
+
+    var saved = JSON.parse(fs.readFileSync(plan_file, "utf8"));
+    saved.cost += 1;
+    fs.writeFileSync(plan_file, JSON.stringify(saved));
+    var tampered = tsp_cli(["verify", "--graph", graph_file, "--plan", plan_file]);
+    assert.strictEqual(tampered.status, 1);
+    assert.ok(/^tsp: The plan doesn't check out/m.test(tampered.stderr));
+  });
+});
+
+
+test("bench summarizes as a table or lists every run as CSV", function() {
+  var csv = tsp_cli(["bench", "--algos", "greedy,quick", "--sizes", "8", "--graphs", "2", "--format", "csv"]);
+  assert.strictEqual(csv.status, 0, csv.stderr);
+  var lines = csv.stdout.trim().split("\n");
+  assert.strictEqual(lines.length, 5);
+  assert.ok(/^algorithm,size,seed,cost/.test(lines[0]));
+  assert.strictEqual(csv.stderr.trim().split("\n").length, 4);
+
+  var table = tsp_cli(["bench", "--algos", "quick,exact", "--sizes", "8", "--graphs", "2", "--gap", "optimum"]);
+  assert.strictEqual(table.status, 0, table.stderr);
+  var rows = table.stdout.trim().split("\n");
+  assert.ok(/gap%$/.test(rows[0]));
+  assert.ok(/^exact .* 0\.00$/.test(rows[2]), table.stdout);
+});
+
+
+test("tune reports the best configuration and its sensitivity", function() {
+  var run = tsp_cli(["tune", "--tune", "beta", "--search", "grid", "--sizes", "8", "--graphs", "1", "--steps", "2",
+                     "--params", '{"ant_count":3,"walk_count":2}']);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.ok(/^Best configuration \(mean cost \d+\.\d over 1 graphs\):\n  beta: [135]\n/.test(run.stdout), run.stdout);
+  assert.ok(/^  beta: \d+\.\d%  \(0\.5 -> \d+\.\d, 6 -> \d+\.\d\)$/m.test(run.stdout), run.stdout);
+});
+
+
+test("list shows every salesman", function() {
+  var run = tsp_cli(["list"]);
+  assert.strictEqual(run.status, 0);
+  _.each(tsp.SalesmanRegistry.salesmen.list(), function(entry) {
+    assert.ok(new RegExp("^" + entry.name + " ", "m").test(run.stdout), entry.name);
+  });
+});
+
+
+test("mistakes exit with 1 and say what's wrong", function() {
+  var usage = tsp_cli(["frobnicate"]);
+  assert.strictEqual(usage.status, 1);
+  assert.ok(/^Usage: tsp <command>/.test(usage.stdout));
+  assert.strictEqual(tsp_cli(["--help"]).status, 0);
+
+  _.each([
+    [["solve", "--algo", "nope", "--points", "5"], /nope/],
+    [["solve", "--points", "many"], /--points must be a number/],
+    [["convert"], /--graph is required/],
+    [["bench", "--algos", "quick", "--params", '{"bogus":1}'], /take a parameter called bogus/],
+    [["tune", "--tune", "colour"], /Can't tune colour/],
+    [["tune", "--tune", "beta", "--sizes", "6", "--graphs", "1", "--steps", "1", "--search", "grid"], /at least 2 steps/]
+  ], function(mistake) {
+    var run = tsp_cli(mistake[0]);
+    assert.strictEqual(run.status, 1, mistake[0].join(" "));
+    assert.ok(/^tsp: /.test(run.stderr) && mistake[1].test(run.stderr), run.stderr);
+  });
+});
@@ -0,0 +1,159 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+// Shortest way from 'from' through every city not in 'visited' and back to 'start',
+// by trying every order
+function brute_force(matrix, start, from, visited) {
+  var n = matrix.length;
+  var best = Number.POSITIVE_INFINITY;
+  visited = visited ? visited.slice() : _.map(_.range(n), function(i) { return i == start; });
+  var walk = function(city, length) {
+    if (length >= best) return;
+    if (_.all(visited, _.identity)) {
+      best = Math.min(best, length + matrix[city][start]);
+      return;
+    }
+    for (var next = 0; next < n; next++) {
+      if (visited[next]) continue;
+      visited[next] = true;
+      walk(next, length + matrix[city][next]);
+      visited[next] = false;
+    }
+  };
+  walk(from == null ? start : from, 0);
+  return best;
+}
+
+
+// Symmetric, but not metric: the bounds have a harder time with these than with
+// points on a plane
+function random_matrix(seed, n) {
+  var rng = new tsp.SeededRandom(seed);
+  var matrix = _.map(_.range(n), function() { return new Float64Array(n); });
+  for (var i = 0; i < n; i++) {
+    for (var j = i + 1; j < n; j++) matrix[i][j] = matrix[j][i] = 1 + rng.random_int(100);
+  }
+  return matrix;
+}
+
+
+function assert_tour(tour, n, start) {
+  assert.strictEqual(tour[0], start);
+  assert.deepStrictEqual(plain(tour).sort(function(a, b) { return a - b; }), plain(_.range(n)));
+}
+
+
+test("Held-Karp finds the brute force optimum", function() {
+  _.each([[1, 6, 0], [2, 8, 3], [3, 9, 8]], function(args) {
+    var matrix = random_matrix(args[0], args[1]);
+    var result = new tsp.ExactSalesman().held_karp(matrix, args[2]);
+
+    assert.ok(result.optimal);
+    assert.strictEqual(result.length, brute_force(matrix, args[2]));
+    assert_tour(result.tour, args[1], args[2]);
+    assert.strictEqual(tsp.MetricClosure.tour_length(result.tour, matrix), result.length);
+  });
+});
+
+
+test("branch and bound finds the brute force optimum", function() {
+  _.each([4, 5, 6, 7], function(seed) {
+    var matrix = random_matrix(seed, 10);
+    var improvements = [];
+    var result = new tsp.ExactSalesman({ rng: new tsp.SeededRandom(seed) }).branch_and_bound(matrix, 2, new Date().getTime() + 60000,
+      function(tour, length) { improvements.push(length); });
+
+    assert.ok(result.optimal, "seed " + seed);
+    assert.strictEqual(result.length, brute_force(matrix, 2), "seed " + seed);
+    assert_tour(result.tour, 10, 2);
+    assert.strictEqual(_.last(improvements), result.length);
+  });
+});
+
+
+test("branch and bound gets there from a poor starting tour too", function() {
+  _.each([4, 6, 9], function(seed) {
+    var matrix = random_matrix(seed, 10);
+    var exact = new tsp.ExactSalesman();
+    var improvements = [];
+    exact.initial_tour = function(matrix, start) {
+      var tour = _.range(start, 10).concat(_.range(0, start));
+      return { tour: tour, length: tsp.MetricClosure.tour_length(tour, matrix) };
+    };
+    var result = exact.branch_and_bound(matrix, 2, new Date().getTime() + 60000, function(tour, length) {
+      improvements.push(length);
+    });
+
+    assert.ok(result.optimal);
+    assert.strictEqual(result.length, brute_force(matrix, 2), "seed " + seed);
+    assert_tour(result.tour, 10, 2);
+    assert.ok(improvements.length > 1, "seed " + seed);
+  });
+});
+
+
+test("the 1-tree bound never overestimates the rest of the tour, whatever the penalties", function() {
+  var n = 9;
+  var matrix = random_matrix(8, n);
+  var rng = new tsp.SeededRandom(8);
+
+  _.times(30, function() {
+    var pi = _.map(_.range(n), function() { return rng.random_int(40) - 20; });
+    var visited = new Uint8Array(n);
+    var path = [0];
+    visited[0] = 1;
+    _.times(rng.random_int(n - 1), function() {
+      var next = _.find(_.range(n), function(i) { return !visited[i]; });
+      visited[next] = 1;
+      path.push(next);
+    });
+    var current = _.last(path);
+
+    var bound = new tsp.ExactSalesman().one_tree_bound(matrix, 0, visited, pi)(current);
+    var rest = brute_force(matrix, 0, current, _.map(visited, function(v) { return v == 1; }));
+    assert.ok(bound <= rest + 1e-9, bound + " > " + rest);
+  });
+});
+
+
+test("compute_plan gives a valid plan of the optimal length either way", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(2), { num_points: 11 }).build_graph();
+  var matrix = new tsp.MetricClosure(graph).get_distance_matrix().matrix;
+  var optimum = brute_force(matrix, 0);
+  var harness = new tsp.Harness();
+
+  _.each([18, 1], function(held_karp_max_points) {
+    var exact = new tsp.ExactSalesman({ rng: new tsp.SeededRandom(1), held_karp_max_points: held_karp_max_points });
+    var plan = harness.run_algorithm(graph, "pt_0", exact);
+
+    assert.ok(exact.optimal);
+    assert.ok(Math.abs(exact.tour_length - optimum) < 1e-9);
+    assert.ok(Math.abs(harness.compute_plan_cost(graph, plan) - optimum) < 1e-9);
+  });
+});
+
+
+test("on a big graph it stops inside the time budget with its best tour so far", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(3), { num_points: 120 }).build_graph();
+  var harness = new tsp.Harness();
+  var plan = harness.run_algorithm(graph, "pt_0", new tsp.ExactSalesman({ rng: new tsp.SeededRandom(1) }), { time_budget: 1000 });
+
+  assert.ok(!harness.last_run.over_budget, harness.last_run.time + "ms");
+  assert.ok(harness.validate_plan(graph, plan, "pt_0").valid);
+});
+
+
+test("held_karp_max_points is capped", function() {
+  assert.throws(function() { new tsp.ExactSalesman({ held_karp_max_points: 21 }); }, function(e) {
+    return e instanceof tsp.SolverError;
+  });
+});
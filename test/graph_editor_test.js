@@ -0,0 +1,64 @@
+var test = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+// GraphEditor is a browser script (index.js leaves it out), so run it next to the
+// constructors it needs, and give it a renderer that just holds on to the graph
+function create_editor(graph) {
+  var context = vm.createContext({ _: _, GraphIndex: tsp.GraphIndex, RandomGraphBuilder: tsp.RandomGraphBuilder });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "graph_editor.js"), "utf8"), context);
+  var renderer = {
+    update_graph: function(graph) {
+      this.graph = graph;
+      this.index = new tsp.GraphIndex(graph);
+    }
+  };
+  renderer.update_graph(graph);
+  return new context.GraphEditor(renderer, { start_point_id: "pt_0" });
+}
+
+
+function reachable_count(graph, from_id) {
+  return _(new tsp.GraphIndex(graph).get_shortest_paths_from(from_id).dist).size();
+}
+
+
+test("deleting points keeps the graph connected, and leaves the rest alone", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(7), { num_points: 16 }).build_graph();
+  var editor = create_editor(graph);
+
+  var edited = editor.delete_point("pt_5");
+  edited = editor.delete_point("pt_11");
+
+  assert.strictEqual(edited.points.length, 14);
+  assert.ok(!_(edited.points).any(function(p) { return p.id == "pt_5" || p.id == "pt_11"; }));
+  assert.ok(!_(edited.arcs).any(function(a) { return _(["pt_5", "pt_11"]).include(a[0]) || _(["pt_5", "pt_11"]).include(a[1]); }));
+  assert.strictEqual(reachable_count(edited, "pt_0"), 14);
+  assert.strictEqual(graph.points.length, 16, "the original graph isn't touched");
+});
+
+
+test("the start point can't be deleted", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(7), { num_points: 10 }).build_graph();
+  assert.strictEqual(create_editor(graph).delete_point("pt_0"), null);
+});
+
+
+test("every registered salesman solves a graph with a point deleted", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(3), { num_points: 16 }).build_graph();
+  var edited = create_editor(graph).delete_point("pt_5");
+  var harness = new tsp.Harness();
+
+  _(tsp.SalesmanRegistry.salesmen.list()).each(function(entry) {
+    var salesman = tsp.SalesmanRegistry.salesmen.create(entry.name, new tsp.SeededRandom(1), {});
+    var plan = harness.run_algorithm(edited, "pt_0", salesman, { time_budget: 3000 });
+    var report = harness.validate_plan(edited, plan, "pt_0");
+    assert.ok(report.valid, entry.name + ": " + _(report.violations).pluck("message").join(", "));
+  });
+});
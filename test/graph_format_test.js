@@ -0,0 +1,107 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+// Arrays made inside index.js's vm context have that context's Array.prototype, which
+// deepStrictEqual holds against them, so compare plain copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+function random_graph(seed, num_points) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: num_points }).build_graph();
+}
+
+
+function quick_plan(graph) {
+  return new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.QuickSalesman());
+}
+
+
+test("json round trips keep the graph, its name and its fingerprint", function() {
+  var format = new tsp.GraphFormat();
+  var graph = random_graph(1, 20);
+  graph.name = "twenty";
+  var read = format.read_graph(format.write_graph(graph, "json"));
+
+  assert.strictEqual(read.name, "twenty");
+  assert.deepStrictEqual(read.points, graph.points);
+  assert.deepStrictEqual(read.arcs, graph.arcs);
+  assert.strictEqual(format.fingerprint(read), format.fingerprint(graph));
+});
+
+
+test("a bare { points, arcs } reads as version 0, a newer version is refused", function() {
+  var format = new tsp.GraphFormat();
+  var graph = random_graph(2, 8);
+  assert.deepStrictEqual(format.read_graph(JSON.stringify(graph)).arcs, graph.arcs);
+  assert.throws(function() {
+    format.read_graph(JSON.stringify({ format: "tsp-graph", version: 99, points: [], arcs: [] }));
+  }, tsp.GraphError);
+});
+
+
+test("tsplib round trips keep every plan's cost", function() {
+  var format = new tsp.GraphFormat();
+  var harness = new tsp.Harness();
+  var graph = random_graph(4, 20);
+  var plan = quick_plan(graph);
+  var text = format.write_graph(graph, "tsplib");
+  var read = format.read_graph(text);
+
+  assert.ok(/EDGE_WEIGHT_TYPE : EXPLICIT/.test(text), "our arcs aren't whole numbers, so they're written out");
+  assert.strictEqual(read.arcs.length, graph.arcs.length);
+  assert.strictEqual(harness.compute_plan_cost(read, plan), harness.compute_plan_cost(graph, plan));
+  assert.strictEqual(format.write_graph(read, "tsplib"), text);
+});
+
+
+test("EUC_2D files are rounded like TSPLIB rounds them, and written back as EUC_2D", function() {
+  var format = new tsp.GraphFormat();
+  var text = ["NAME : tri", "TYPE : TSP", "DIMENSION : 3", "EDGE_WEIGHT_TYPE : EUC_2D",
+              "NODE_COORD_SECTION", "1 0 0", "2 3 4", "3 6.4 0", "EOF"].join("\n");
+  var graph = format.read_graph(text);
+
+  assert.strictEqual(graph.name, "tri");
+  assert.deepStrictEqual(plain(_(graph.arcs).map(function(a) { return a[2]; })), [5, 6, 5]);
+  assert.ok(/EDGE_WEIGHT_TYPE : EUC_2D/.test(format.write_graph(graph, "tsplib")));
+});
+
+
+test("EXPLICIT weights are read from any triangle of the matrix", function() {
+  var format = new tsp.GraphFormat();
+  var text = ["TYPE : TSP", "DIMENSION : 3", "EDGE_WEIGHT_TYPE : EXPLICIT", "EDGE_WEIGHT_FORMAT : LOWER_DIAG_ROW",
+              "DISPLAY_DATA_SECTION", "1 0 0", "2 3 4", "3 6 0",
+              "EDGE_WEIGHT_SECTION", "0", "7 0", "8 9 0", "EOF"].join("\n");
+  assert.deepStrictEqual(plain(format.read_graph(text).arcs), [["pt_0", "pt_1", 7], ["pt_0", "pt_2", 8], ["pt_1", "pt_2", 9]]);
+});
+
+
+test("tours written and read back walk the same points for the same cost", function() {
+  var format = new tsp.GraphFormat();
+  var harness = new tsp.Harness();
+  var graph = random_graph(5, 15);
+  var plan = quick_plan(graph);
+  var read = format.read_tour(format.write_tour(plan, graph), graph, "pt_0");
+
+  assert.strictEqual(read[0], "pt_0");
+  assert.deepStrictEqual(_(read).uniq().sort(), _(plan).uniq().sort());
+  assert.ok(harness.compute_plan_cost(graph, read) <= harness.compute_plan_cost(graph, plan) + 1e-9);
+});
+
+
+test("a graph keeps its fingerprint, and its saved plans, through TSPLIB and back", function() {
+  var format = new tsp.GraphFormat();
+  var graph = random_graph(9, 20);
+  var plan = quick_plan(graph);
+  var text = format.write_plan(graph, { plan: plan, algorithm: "quick", params: {}, seed: 9, cost: 1 });
+  var read = format.read_graph(format.write_graph(format.read_graph(format.write_graph(graph, "tsplib")), "json"));
+
+  assert.strictEqual(read.arcs[0].length, 3);
+  assert.strictEqual(format.fingerprint(read), format.fingerprint(graph));
+  assert.deepStrictEqual(plain(format.read_plan(text, read).plan), plain(plan));
+});
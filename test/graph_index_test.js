@@ -0,0 +1,117 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+// Arrays made inside the loaded scripts come from another realm, which deepStrictEqual
+// holds against them
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+function ids(path) {
+  return plain(_.pluck(path, "id"));
+}
+
+
+// a -- b is a direct arc but a long one, going round by c and d is shorter even
+// though it takes more hops. e is on its own.
+var graph = {
+  points: [
+    { id: "a", x: 0, y: 0 },
+    { id: "b", x: 10, y: 0 },
+    { id: "c", x: 3, y: 4 },
+    { id: "d", x: 7, y: 4 },
+    { id: "e", x: 50, y: 50 }
+  ],
+  arcs: [["a", "b", 30], ["a", "c"], ["c", "d"], ["d", "b"]]
+};
+
+
+test("arcs are indexed both ways with their own or straight line lengths", function() {
+  var index = new tsp.GraphIndex(graph);
+
+  assert.strictEqual(index.point_count, 5);
+  assert.ok(index.arc_exists("b", "a"));
+  assert.ok(!index.arc_exists("a", "d"));
+  assert.strictEqual(index.get_dist(index.get_point("b"), index.get_point("a")), 30);
+  assert.strictEqual(index.get_dist(index.get_point("a"), index.get_point("c")), 5);
+  assert.deepStrictEqual(ids(index.get_surrounding_points("a")).sort(), ["b", "c"]);
+  assert.throws(function() { new tsp.GraphIndex({ points: [{ id: "a", x: 0, y: 0 }], arcs: [["a", "z"]] }); },
+                function(e) { return e instanceof tsp.GraphError; });
+});
+
+
+test("Dijkstra takes the shorter way round rather than the fewest hops", function() {
+  var index = new tsp.GraphIndex(graph);
+  var a = index.get_point("a"), b = index.get_point("b");
+
+  assert.deepStrictEqual(ids(index.get_path_to_point(a, b)), ["a", "c", "d", "b"]);
+  assert.deepStrictEqual(ids(index.get_path_to_point(b, a)), ["b", "d", "c", "a"]);
+  assert.strictEqual(index.get_shortest_distance(a, b), 14);
+  assert.strictEqual(index.get_shortest_distance(a, a), 0);
+  assert.deepStrictEqual(ids(index.get_path_to_point(a, a)), ["a"]);
+});
+
+
+test("unreachable points are Infinity away and have no path", function() {
+  var index = new tsp.GraphIndex(graph);
+  var a = index.get_point("a"), e = index.get_point("e");
+
+  assert.strictEqual(index.get_shortest_distance(a, e), Number.POSITIVE_INFINITY);
+  assert.throws(function() { index.get_path_to_point(a, e); }, function(error) {
+    return error instanceof tsp.NoPathError;
+  });
+});
+
+
+test("the all-pairs table agrees with Floyd-Warshall and with per-query Dijkstra", function() {
+  var random = new tsp.RandomGraphBuilder(new tsp.SeededRandom(4), { num_points: 25, arcs_per_point: 1 }).build_graph();
+  var index = new tsp.GraphIndex(random);
+  var table = new tsp.GraphIndex(random);
+  var points = random.points;
+
+  assert.ok(!table.precompute_all_pairs(10));
+  assert.ok(table.precompute_all_pairs());
+
+  var dist = {};
+  _.each(points, function(p) {
+    dist[p.id] = {};
+    _.each(points, function(q) {
+      dist[p.id][q.id] = p.id == q.id ? 0 : (index.arc_exists(p.id, q.id) ? index.get_dist(p, q) : Infinity);
+    });
+  });
+  _.each(points, function(k) {
+    _.each(points, function(i) {
+      _.each(points, function(j) {
+        dist[i.id][j.id] = Math.min(dist[i.id][j.id], dist[i.id][k.id] + dist[k.id][j.id]);
+      });
+    });
+  });
+
+  _.each(points, function(p) {
+    _.each(points, function(q) {
+      assert.ok(Math.abs(table.get_shortest_distance(p, q) - dist[p.id][q.id]) < 1e-9);
+      assert.ok(Math.abs(index.get_shortest_distance(p, q) - dist[p.id][q.id]) < 1e-9);
+
+      // and the path is a real walk along arcs of that length
+      var path = table.get_path_to_point(p, q);
+      var length = 0;
+      for (var i = 1; i < path.length; i++) {
+        assert.ok(index.arc_exists(path[i - 1].id, path[i].id));
+        length += index.get_dist(path[i - 1], path[i]);
+      }
+      assert.ok(Math.abs(length - dist[p.id][q.id]) < 1e-9);
+    });
+  });
+});
+
+
+test("path_to_plan drops repeated points", function() {
+  var index = new tsp.GraphIndex(graph);
+  var path = _.map(["a", "a", "c", "d", "d", "b", "a"], index.get_point, index);
+  assert.deepStrictEqual(plain(index.path_to_plan(path)), ["a", "c", "d", "b", "a"]);
+});
@@ -0,0 +1,113 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(11), { num_points: 12 }).build_graph();
+var quick_plan = new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.QuickSalesman());
+var lk_plan = new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.LKSalesman({ rng: new tsp.SeededRandom(1) }));
+
+
+function sleep(ms) {
+  var start = new Date();
+  while (new Date() - start < ms) {}
+}
+
+
+// A salesman that reports 'reported' (if any) straight away, then takes 'ms' and
+// returns 'plan' or throws 'error'
+function scripted(reported, ms, plan, error) {
+  return {
+    compute_plan: function(graph, start_point_id, context) {
+      if (reported) context.on_progress({ iteration: 1, iterations: 1, cost: 0, best_cost: 0, best_plan: reported });
+      sleep(ms);
+      if (error) throw error;
+      return plan;
+    }
+  };
+}
+
+
+test("an overrun falls back to the plan reported before the deadline", function() {
+  var harness = new tsp.Harness();
+  var plan = harness.run_algorithm(graph, "pt_0", scripted(quick_plan, 60, lk_plan), { time_budget: 20 });
+
+  assert.strictEqual(plan, quick_plan);
+  assert.ok(harness.last_run.over_budget);
+  assert.strictEqual(harness.last_run.time_budget, 20);
+  assert.strictEqual(harness.last_run.reports, 1);
+  assert.strictEqual(harness.last_run.error, null);
+});
+
+
+test("a late plan is still returned if nothing came in time", function() {
+  var harness = new tsp.Harness();
+  var plan = harness.run_algorithm(graph, "pt_0", scripted(null, 40, quick_plan), { time_budget: 10 });
+
+  assert.strictEqual(plan, quick_plan);
+  assert.ok(harness.last_run.over_budget);
+  assert.ok(harness.last_run.time_to_first_solution >= 40);
+});
+
+
+test("within budget the cheapest plan wins", function() {
+  var harness = new tsp.Harness();
+  var plan = harness.run_algorithm(graph, "pt_0", scripted(quick_plan, 0, lk_plan), { time_budget: 1000 });
+
+  assert.strictEqual(plan, lk_plan);
+  assert.ok(!harness.last_run.over_budget);
+});
+
+
+test("a salesman that throws after reporting is rethrown, unless best_so_far is asked for", function() {
+  var harness = new tsp.Harness();
+  var boom = new Error("boom");
+
+  assert.throws(function() {
+    harness.run_algorithm(graph, "pt_0", scripted(quick_plan, 0, null, boom));
+  }, /boom/);
+  assert.strictEqual(harness.last_run.error, boom);
+  assert.strictEqual(harness.last_run.partial, false);
+
+  var plan = harness.run_algorithm(graph, "pt_0", scripted(quick_plan, 0, null, boom), { best_so_far: true });
+  assert.strictEqual(plan, quick_plan);
+  assert.strictEqual(harness.last_run.error, boom);
+  assert.strictEqual(harness.last_run.partial, true);
+});
+
+
+test("a salesman that never comes up with a plan is an error", function() {
+  var harness = new tsp.Harness();
+  assert.throws(function() {
+    harness.run_algorithm(graph, "pt_0", scripted(null, 0, null));
+  }, tsp.SolverError);
+  assert.throws(function() {
+    harness.run_algorithm(graph, "pt_0", {});
+  }, tsp.SolverError);
+});
+
+
+test("percent_above_bound has nothing to say about a single point", function() {
+  var harness = new tsp.Harness();
+  assert.strictEqual(harness.percent_above_bound({ points: [{ id: "pt_0", x: 1, y: 1 }], arcs: [] }, 0), null);
+  assert.ok(harness.percent_above_bound(graph, harness.compute_plan_cost(graph, quick_plan)) >= 0);
+});
+
+
+test("a salesman whose every plan is invalid gets the validation error, not its plan back", function() {
+  var harness = new tsp.Harness();
+  var broken = quick_plan.slice(0, 3);
+
+  assert.throws(function() {
+    harness.run_algorithm(graph, "pt_0", scripted(null, 0, broken));
+  }, tsp.InvalidPlanError);
+  assert.ok(harness.last_run.error instanceof tsp.InvalidPlanError);
+  assert.ok(harness.last_run.error.report.violations.length > 0);
+  assert.strictEqual(harness.last_run.invalid_plan, broken);
+
+  var plan = harness.run_algorithm(graph, "pt_0", scripted(quick_plan, 0, broken));
+  assert.strictEqual(plan, quick_plan);
+  assert.strictEqual(harness.last_run.error, null);
+});
@@ -0,0 +1,103 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+// Shortest closed tour over a small matrix, by trying every order that starts at 0
+function brute_force(matrix) {
+  var n = matrix.length;
+  var best = Number.POSITIVE_INFINITY;
+  var visited = [true];
+  var walk = function(city, count, length) {
+    if (length >= best) return;
+    if (count == n) {
+      best = Math.min(best, length + matrix[city][0]);
+      return;
+    }
+    for (var next = 1; next < n; next++) {
+      if (visited[next]) continue;
+      visited[next] = true;
+      walk(next, count + 1, length + matrix[city][next]);
+      visited[next] = false;
+    }
+  };
+  walk(0, 1, 0);
+  return best;
+}
+
+
+function random_matrix(seed, n) {
+  var rng = new tsp.SeededRandom(seed);
+  var matrix = _.map(_.range(n), function() { return new Float64Array(n); });
+  for (var i = 0; i < n; i++) {
+    for (var j = i + 1; j < n; j++) matrix[i][j] = matrix[j][i] = 1 + rng.random_int(100);
+  }
+  return matrix;
+}
+
+
+test("the bound never exceeds the brute force optimum", function() {
+  _.each(_.range(1, 11), function(seed) {
+    var matrix = random_matrix(seed, 4 + seed % 6);
+    var optimum = brute_force(matrix);
+    var result = new tsp.HeldKarpBound().compute_for_matrix(matrix);
+
+    assert.ok(result.bound <= optimum + 1e-9, "seed " + seed + ": " + result.bound + " > " + optimum);
+    assert.ok(result.bound > 0.75 * optimum, "seed " + seed + ": " + result.bound + " vs " + optimum);
+  });
+});
+
+
+test("on real graphs the bound is below, and close to, the exact optimum", function() {
+  _.each([1, 2, 3, 4], function(seed) {
+    var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: 13 }).build_graph();
+    var harness = new tsp.Harness();
+    var plan = harness.run_algorithm(graph, "pt_0", new tsp.ExactSalesman());
+    var optimum = harness.compute_plan_cost(graph, plan);
+    var bound = new tsp.HeldKarpBound().compute(graph).bound;
+
+    assert.ok(bound <= optimum + 1e-6, "seed " + seed);
+    assert.ok(bound > 0.9 * optimum, "seed " + seed);
+  });
+});
+
+
+test("the bound is exact when the best 1-tree is a tour", function() {
+  var n = 10;
+  var matrix = _.map(_.range(n), function(i) {
+    return _.map(_.range(n), function(j) { return 2 * Math.abs(Math.sin(Math.PI * (i - j) / n)); });
+  });
+  var round = tsp.MetricClosure.tour_length(_.range(n), matrix);
+  assert.ok(Math.abs(new tsp.HeldKarpBound().compute_for_matrix(matrix).bound - round) < 1e-9);
+
+  assert.strictEqual(new tsp.HeldKarpBound().compute_for_matrix([[0]]).bound, 0);
+  assert.strictEqual(new tsp.HeldKarpBound().compute_for_matrix([[0, 3], [3, 0]]).bound, 6);
+});
+
+
+test("stopping early still gives a bound, just not as good a one", function() {
+  var matrix = random_matrix(12, 9);
+  var full = new tsp.HeldKarpBound().compute_for_matrix(matrix);
+  assert.strictEqual(new tsp.HeldKarpBound({ max_iterations: 1 }).compute_for_matrix(matrix).iterations, 1);
+
+  _.each([{ max_iterations: 1 }, { time_limit: 0 }], function(options) {
+    var early = new tsp.HeldKarpBound(options).compute_for_matrix(matrix);
+    assert.ok(early.iterations <= full.iterations);
+    assert.ok(early.bound <= full.bound);
+    assert.ok(early.bound > 0);
+  });
+});
+
+
+test("the Harness remembers the bound for the last graph and compares costs to it", function() {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(7), { num_points: 20 }).build_graph();
+  var harness = new tsp.Harness();
+  var bound = harness.compute_lower_bound(graph);
+
+  assert.strictEqual(harness.compute_lower_bound(graph), bound);
+  assert.strictEqual(harness.lower_bound.graph, graph);
+  assert.ok(Math.abs(harness.percent_above_bound(graph, bound * 1.25) - 25) < 1e-9);
+  assert.strictEqual(harness.percent_above_bound({ points: [{ id: "a", x: 0, y: 0 }], arcs: [] }, 0), null);
+});
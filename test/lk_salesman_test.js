@@ -0,0 +1,102 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+// Shortest closed tour over a small matrix, by trying every order that starts at 0
+function brute_force(matrix) {
+  var n = matrix.length;
+  var best = Number.POSITIVE_INFINITY;
+  var visited = [true];
+  var walk = function(city, count, length) {
+    if (length >= best) return;
+    if (count == n) {
+      best = Math.min(best, length + matrix[city][0]);
+      return;
+    }
+    for (var next = 1; next < n; next++) {
+      if (visited[next]) continue;
+      visited[next] = true;
+      walk(next, count + 1, length + matrix[city][next]);
+      visited[next] = false;
+    }
+  };
+  walk(0, 1, 0);
+  return best;
+}
+
+
+function random_graph(seed, n) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: n }).build_graph();
+}
+
+
+test("LK goes straight round a circle from a scrambled tour", function() {
+  var n = 12;
+  var matrix = _.map(_.range(n), function(i) {
+    return _.map(_.range(n), function(j) { return 2 * Math.abs(Math.sin(Math.PI * (i - j) / n)); });
+  });
+  var rng = new tsp.SeededRandom(5);
+  var tour = _.sortBy(_.range(n), function() { return rng.random(); });
+  var lk = new tsp.LKSalesman({ rng: rng });
+
+  lk.lin_kernighan(tour, matrix, tsp.MetricClosure.neighbour_lists(matrix, 8));
+  assert.ok(Math.abs(tsp.MetricClosure.tour_length(tour, matrix) - tsp.MetricClosure.tour_length(_.range(n), matrix)) < 1e-9);
+  assert.deepStrictEqual(plain(tour).sort(function(a, b) { return a - b; }), plain(_.range(n)));
+});
+
+
+test("chained LK finds the optimum of small graphs", function() {
+  _.each([1, 2, 3, 4, 5], function(seed) {
+    var graph = random_graph(seed, 9);
+    var matrix = new tsp.MetricClosure(graph).get_distance_matrix().matrix;
+    var harness = new tsp.Harness();
+    var plan = harness.run_algorithm(graph, "pt_0", new tsp.LKSalesman({ rng: new tsp.SeededRandom(seed) }));
+
+    assert.ok(Math.abs(harness.compute_plan_cost(graph, plan) - brute_force(matrix)) < 1e-6, "seed " + seed);
+  });
+});
+
+
+test("a valid plan, never worse than nearest neighbour, reported as it improves", function() {
+  var graph = random_graph(17, 60);
+  var harness = new tsp.Harness();
+  var reports = [];
+  var plan = harness.run_algorithm(graph, "pt_0", new tsp.LKSalesman({ rng: new tsp.SeededRandom(1), kicks: 20 }), {
+    on_progress: function(progress) { reports.push(progress); }
+  });
+
+  var closure = new tsp.MetricClosure(graph);
+  var matrix = closure.get_distance_matrix().matrix;
+  var nearest = tsp.MetricClosure.tour_length(tsp.MetricClosure.nearest_neighbour_tour(matrix, 0), matrix);
+  var cost = harness.compute_plan_cost(graph, plan);
+
+  assert.strictEqual(plan[0], "pt_0");
+  assert.ok(harness.validate_plan(graph, plan, "pt_0").valid);
+  assert.ok(cost <= nearest + 1e-9);
+  assert.strictEqual(reports.length, 20);
+  for (var i = 1; i < reports.length; i++) assert.ok(reports[i].best_cost <= reports[i - 1].best_cost);
+  assert.ok(Math.abs(_.last(reports).best_cost - cost) < 1e-6);
+});
+
+
+test("double_bridge keeps every city and the same seed replays the same plan", function() {
+  var lk = new tsp.LKSalesman({ rng: new tsp.SeededRandom(9) });
+  _.times(50, function() {
+    var kicked = lk.double_bridge(_.range(10));
+    assert.deepStrictEqual(plain(kicked).sort(function(a, b) { return a - b; }), plain(_.range(10)));
+  });
+
+  var graph = random_graph(6, 40);
+  var run = function() {
+    return JSON.stringify(new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.LKSalesman({ rng: new tsp.SeededRandom(4), kicks: 10 })));
+  };
+  assert.strictEqual(run(), run());
+});
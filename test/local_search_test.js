@@ -0,0 +1,87 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+// Every point connected to every other, so matrix positions are just point order
+function complete_matrix(points) {
+  return _.map(points, function(p) {
+    return _.map(points, function(q) { return tsp.GraphIndex.euclidean(p, q); });
+  });
+}
+
+
+// n points evenly round a circle: the best tour just goes round
+function circle(n) {
+  return _.map(_.range(n), function(i) {
+    return { id: "pt_" + i, x: 50 + 40 * Math.cos(2 * Math.PI * i / n), y: 50 + 40 * Math.sin(2 * Math.PI * i / n) };
+  });
+}
+
+
+var square = complete_matrix([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }]);
+var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(13), { num_points: 30 }).build_graph();
+
+
+test("2-opt uncrosses the diagonals of a square", function() {
+  var crossed = [0, 2, 1, 3];
+  assert.ok(tsp.MetricClosure.tour_length(crossed, square) > 48);
+
+  var tour = new tsp.LocalSearch({ moves: ["2opt"] }).optimize_tour(crossed, square);
+  assert.strictEqual(tsp.MetricClosure.tour_length(tour, square), 40);
+  assert.deepStrictEqual(plain(crossed), [0, 2, 1, 3]);
+});
+
+
+test("Or-opt puts a point that's out of place back where it belongs", function() {
+  var matrix = complete_matrix(circle(8));
+  var going_round = tsp.MetricClosure.tour_length(_.range(8), matrix);
+
+  var tour = new tsp.LocalSearch({ moves: ["oropt"] }).optimize_tour([0, 1, 2, 4, 5, 6, 3, 7], matrix);
+  assert.ok(Math.abs(tsp.MetricClosure.tour_length(tour, matrix) - going_round) < 1e-9);
+});
+
+
+test("every move only ever makes a tour shorter", function() {
+  var matrix = new tsp.MetricClosure(graph).get_distance_matrix().matrix;
+  var rng = new tsp.SeededRandom(3);
+  var tour = _.sortBy(_.range(matrix.length), function() { return rng.random(); });
+  var before = tsp.MetricClosure.tour_length(tour, matrix);
+
+  _.each([["2opt"], ["oropt"], ["3opt"], ["2opt", "oropt", "3opt"]], function(moves) {
+    var improved = new tsp.LocalSearch({ moves: moves }).optimize_tour(tour, matrix);
+    assert.deepStrictEqual(plain(improved).sort(), plain(tour).sort());
+    assert.ok(tsp.MetricClosure.tour_length(improved, matrix) < before, moves.join());
+  });
+
+  var untouched = new tsp.LocalSearch({ max_passes: 0 }).optimize_tour(tour, matrix);
+  assert.deepStrictEqual(plain(untouched), plain(tour));
+});
+
+
+test("optimize returns a valid plan from the same start that's no longer, and is then stuck", function() {
+  var harness = new tsp.Harness();
+  var search = new tsp.LocalSearch();
+  var plan = harness.run_algorithm(graph, "pt_0", new tsp.QuickSalesman());
+  var better = search.optimize(graph, plan);
+
+  assert.strictEqual(better[0], "pt_0");
+  assert.ok(harness.validate_plan(graph, better, "pt_0").valid);
+  assert.ok(harness.compute_plan_cost(graph, better) < harness.compute_plan_cost(graph, plan));
+  assert.ok(Math.abs(harness.compute_plan_cost(graph, search.optimize(graph, better)) -
+                     harness.compute_plan_cost(graph, better)) < 1e-9);
+});
+
+
+test("unknown moves are refused", function() {
+  assert.throws(function() { new tsp.LocalSearch({ moves: ["4opt"] }); }, function(e) {
+    return e instanceof tsp.SolverError;
+  });
+});
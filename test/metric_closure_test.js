@@ -0,0 +1,114 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+// A star: every leaf only connects to the hub, so there's no tour without going
+// back through it
+var star = {
+  points: [
+    { id: "h", x: 0, y: 0 },
+    { id: "n", x: 0, y: 10 },
+    { id: "e", x: 10, y: 0 },
+    { id: "s", x: 0, y: -10 },
+    { id: "w", x: -10, y: 0 }
+  ],
+  arcs: [["h", "n"], ["h", "e"], ["h", "s"], ["h", "w"]]
+};
+
+var random = new tsp.RandomGraphBuilder(new tsp.SeededRandom(21), { num_points: 20, arcs_per_point: 1 }).build_graph();
+
+
+test("the closure is complete and its arcs are shortest walks", function() {
+  var closure = new tsp.MetricClosure(star);
+  var built = closure.build_graph();
+  var index = new tsp.GraphIndex(built);
+
+  assert.strictEqual(built.arcs.length, 10);
+  assert.strictEqual(index.get_dist(index.get_point("n"), index.get_point("s")), 20);
+  assert.strictEqual(index.get_dist(index.get_point("h"), index.get_point("e")), 10);
+
+  var distances = closure.get_distance_matrix();
+  assert.deepStrictEqual(plain(distances.ids), ["h", "n", "e", "s", "w"]);
+  assert.strictEqual(distances.position_by_id.s, 3);
+  assert.deepStrictEqual(Array.from(distances.matrix[1]), [10, 0, 20, 20, 20]);
+  assert.strictEqual(closure.get_distance_matrix(), distances);
+});
+
+
+test("a tour on the closure expands to a valid plan of the same length", function() {
+  var closure = new tsp.MetricClosure(star);
+  var plan = closure.tour_to_plan(["e", "s", "h", "n", "w"], "h");
+
+  assert.deepStrictEqual(plain(plan), ["h", "n", "w", "e", "s", "h"]);
+  assert.strictEqual(closure.get_plan_length(plan), 80);
+
+  var expanded = closure.expand_plan(plan);
+  assert.deepStrictEqual(plain(expanded), ["h", "n", "h", "w", "h", "e", "h", "s", "h"]);
+  assert.strictEqual(new tsp.Harness().compute_plan_cost(star, expanded), 80);
+
+  assert.throws(function() { closure.tour_to_plan(["n", "e"], "h"); }, function(e) {
+    return e instanceof tsp.InvalidPlanError;
+  });
+});
+
+
+test("positions_to_plan on a sparse random graph gives a valid plan as long as the tour", function() {
+  var closure = new tsp.MetricClosure(random);
+  var matrix = closure.get_distance_matrix().matrix;
+  var tour = tsp.MetricClosure.nearest_neighbour_tour(matrix, 5);
+  var plan = closure.positions_to_plan(tour, "pt_0");
+  var harness = new tsp.Harness();
+
+  assert.strictEqual(plan[0], "pt_0");
+  assert.ok(harness.validate_plan(random, plan, "pt_0").valid);
+  assert.ok(Math.abs(harness.compute_plan_cost(random, plan) - tsp.MetricClosure.tour_length(tour, matrix)) < 1e-9);
+});
+
+
+test("a disconnected graph has no distance matrix", function() {
+  var split = { points: star.points, arcs: [["h", "n"], ["h", "e"], ["s", "w"]] };
+  assert.throws(function() { new tsp.MetricClosure(split).get_distance_matrix(); }, function(e) {
+    return e instanceof tsp.GraphError;
+  });
+});
+
+
+test("nearest_neighbour_tour, neighbour_lists and closeness on points along a line", function() {
+  var xs = [0, 7, 1, 3, 10];
+  var matrix = _.map(xs, function(a) { return _.map(xs, function(b) { return Math.abs(a - b); }); });
+
+  assert.deepStrictEqual(plain(tsp.MetricClosure.nearest_neighbour_tour(matrix, 0)), [0, 2, 3, 1, 4]);
+  assert.strictEqual(tsp.MetricClosure.tour_length([0, 2, 3, 1, 4], matrix), 20);
+  assert.deepStrictEqual(plain(tsp.MetricClosure.neighbour_lists(matrix, 2)), [[2, 3], [4, 3], [0, 3], [2, 0], [1, 3]]);
+
+  var closeness = tsp.MetricClosure.closeness(matrix, 2);
+  assert.strictEqual(closeness[0][0], 0);
+  assert.ok(Math.abs(closeness[0][4] - 0.01) < 1e-12);
+});
+
+
+test("choose_next only picks unvisited positions, and greedy picks the best", function() {
+  var rng = new tsp.SeededRandom(2);
+  var visited = new Uint8Array([1, 1, 0, 0, 0]);
+  var score = function(j) { return j; };
+
+  _.times(50, function() {
+    assert.strictEqual(tsp.MetricClosure.choose_next([1, 3], visited, score, rng), 3);
+    assert.ok(_.contains([2, 3, 4], tsp.MetricClosure.choose_next([0, 1], visited, score, rng)));
+    assert.strictEqual(tsp.MetricClosure.choose_next([2, 3, 4], visited, score, rng, 1), 4);
+  });
+
+  var picks = { 2: 0, 3: 0, 4: 0 };
+  _.times(3000, function() {
+    picks[tsp.MetricClosure.choose_next([2, 3, 4], visited, score, rng)]++;
+  });
+  assert.ok(picks[4] > picks[3] && picks[3] > picks[2], JSON.stringify(picks));
+});
@@ -0,0 +1,53 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function random_graph(seed, num_points) {
+  return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: num_points }).build_graph();
+}
+
+
+function quick_plan(graph) {
+  return new tsp.Harness().run_algorithm(graph, "pt_0", new tsp.QuickSalesman());
+}
+
+
+test("fingerprints ignore order but not lengths", function() {
+  var format = new tsp.GraphFormat();
+  var graph = random_graph(6, 10);
+  var shuffled = { points: graph.points.slice().reverse(), arcs: _(graph.arcs).map(function(a) { return [a[1], a[0]]; }).reverse() };
+  var longer = { points: graph.points, arcs: graph.arcs.slice(1).concat([graph.arcs[0].concat(1000)]) };
+
+  assert.strictEqual(format.fingerprint(shuffled), format.fingerprint(graph));
+  assert.notStrictEqual(format.fingerprint(longer), format.fingerprint(graph));
+});
+
+
+test("saved plans only load on the graph they were made for", function() {
+  var format = new tsp.GraphFormat();
+  var graph = random_graph(7, 10);
+  var plan = quick_plan(graph);
+  var text = format.write_plan(graph, { plan: plan, algorithm: "quick", params: {}, seed: 7, cost: 1 });
+  var saved = format.read_plan(text, graph);
+
+  assert.ok(format.is_plan(text));
+  assert.deepStrictEqual(saved.plan, plan);
+  assert.strictEqual(saved.start_point_id, "pt_0");
+  assert.throws(function() { format.read_plan(text, random_graph(8, 10)); }, tsp.GraphError);
+});
+
+
+test("verify_plan checks a saved plan's cost still holds", function() {
+  var graph = random_graph(11, 12);
+  var plan = quick_plan(graph);
+  var harness = new tsp.Harness();
+  var cost = harness.compute_plan_cost(graph, plan);
+
+  var report = harness.verify_plan(graph, { plan: plan, start_point_id: "pt_0", cost: cost });
+  assert.ok(report.valid && report.cost_matches);
+  assert.ok(!harness.verify_plan(graph, { plan: plan, start_point_id: "pt_0", cost: cost + 1 }).cost_matches);
+  assert.ok(!harness.verify_plan(graph, { plan: plan, start_point_id: "pt_1", cost: cost }).valid);
+});
@@ -0,0 +1,75 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+// Arrays made inside index.js's vm context have that context's Array.prototype, which
+// deepStrictEqual holds against them, so compare plain copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+// A 3-4-5 right triangle with a tail: pt_3 hangs off pt_2, 10 away
+function triangle() {
+  return {
+    points: [
+      { id: "pt_0", x: 0, y: 0 },
+      { id: "pt_1", x: 3, y: 0 },
+      { id: "pt_2", x: 3, y: 4 },
+      { id: "pt_3", x: 13, y: 4 }
+    ],
+    arcs: [["pt_0", "pt_1"], ["pt_1", "pt_2"], ["pt_2", "pt_0"], ["pt_2", "pt_3"]]
+  };
+}
+
+
+function types(report) {
+  return _(report.violations).pluck("type");
+}
+
+
+test("a valid plan costs the length of its legs", function() {
+  var report = new tsp.PlanValidator(triangle()).validate(["pt_0", "pt_1", "pt_2", "pt_3", "pt_2", "pt_0"], "pt_0");
+  assert.ok(report.valid);
+  assert.deepStrictEqual(plain(report.violations), []);
+  assert.strictEqual(report.cost, 3 + 4 + 10 + 10 + 5);
+  assert.strictEqual(report.visit_counts.pt_2, 2);
+  assert.strictEqual(report.repeated_visits, 1);
+});
+
+
+test("arcs that carry their own length are measured by it", function() {
+  var graph = triangle();
+  graph.arcs[0].push(100);
+  var report = new tsp.PlanValidator(graph).validate(["pt_0", "pt_1", "pt_2", "pt_3", "pt_2", "pt_0"]);
+  assert.strictEqual(report.cost, 100 + 4 + 10 + 10 + 5);
+});
+
+
+test("every problem is reported, not just the first", function() {
+  var report = new tsp.PlanValidator(triangle()).validate(["pt_1", "pt_3", "pt_9", "pt_0"], "pt_0");
+  assert.ok(!report.valid);
+  assert.deepStrictEqual(plain(_(types(report)).uniq().sort()),
+                         ["missing_arc", "not_closed", "unknown_point", "unvisited_point", "wrong_start"]);
+  assert.ok(_(report.bad_legs).include(1), "pt_1 -> pt_3 has no arc");
+});
+
+
+test("an empty plan is reported as such", function() {
+  var report = new tsp.PlanValidator(triangle()).validate([]);
+  assert.ok(!report.valid);
+  assert.strictEqual(report.violations[0].type, "empty_plan");
+});
+
+
+test("compute_plan_cost throws an InvalidPlanError carrying the report", function() {
+  var harness = new tsp.Harness();
+  assert.throws(function() {
+    harness.compute_plan_cost(triangle(), ["pt_0", "pt_3", "pt_0"]);
+  }, function(e) {
+    return e instanceof tsp.InvalidPlanError && tsp.is_tsp_error(e) && !e.report.valid;
+  });
+});
@@ -0,0 +1,60 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+var salesmen = tsp.SalesmanRegistry.salesmen;
+
+
+// A random graph whose points aren't pt_0..pt_(n-1): they're renamed out of order,
+// with gaps, and the start point isn't the first one
+function renamed_graph(seed, num_points) {
+  var graph = new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: num_points }).build_graph();
+  var new_ids = {};
+  _(graph.points).each(function(p, i) { new_ids[p.id] = "city_" + (100 - 7 * i); });
+  return {
+    points: _(graph.points).map(function(p) { return { id: new_ids[p.id], x: p.x, y: p.y }; }).reverse(),
+    arcs: _(graph.arcs).map(function(a) { return [new_ids[a[0]], new_ids[a[1]]]; })
+  };
+}
+
+
+test("every registered salesman solves a graph whose ids aren't pt_0..pt_n", function() {
+  var graph = renamed_graph(9, 12);
+  var start_point_id = graph.points[4].id;
+  var harness = new tsp.Harness();
+
+  _(salesmen.list()).each(function(entry) {
+    var plan = harness.run_algorithm(graph, start_point_id, salesmen.create(entry.name, new tsp.SeededRandom(1), {}),
+                                     { time_budget: 2000 });
+    var report = harness.validate_plan(graph, plan, start_point_id);
+    assert.ok(report.valid, entry.name + ": " + _(report.violations).pluck("message").join(", "));
+  });
+});
+
+
+test("create refuses unknown salesmen and params, and params out of range", function() {
+  var rng = new tsp.SeededRandom(1);
+  assert.throws(function() { salesmen.create("nobody", rng, {}); }, tsp.SolverError);
+  assert.throws(function() { salesmen.create("lk", rng, { kiks: 3 }); }, tsp.SolverError);
+  assert.throws(function() { salesmen.create("lk", rng, { kicks: "3" }); }, tsp.SolverError);
+  assert.throws(function() { salesmen.create("exact", rng, { held_karp_max_points: 21 }); }, tsp.SolverError);
+});
+
+
+test("create leaves the params it's given alone", function() {
+  var params = { local_search: {} };
+  salesmen.create("ant", new tsp.SeededRandom(1), params);
+  assert.deepStrictEqual(params, { local_search: {} });
+});
+
+
+test("the same seed and params make the same plan", function() {
+  var graph = renamed_graph(3, 15);
+  var start_point_id = graph.points[0].id;
+  var plans = _([1, 2]).map(function() {
+    var salesman = salesmen.create("acs", new tsp.SeededRandom(42), { iterations: 20 });
+    return new tsp.Harness().run_algorithm(graph, start_point_id, salesman);
+  });
+  assert.strictEqual(plans[0].join(), plans[1].join());
+});
@@ -0,0 +1,75 @@
+var test = require("node:test");
+var assert = require("assert");
+var tsp = require("..");
+
+var _ = tsp._;
+
+
+function draws(rng, count) {
+  return _.map(_.range(count), function() { return rng.random(); });
+}
+
+
+function ant_plan(seed, graph) {
+  var ants = new tsp.AntSalesman({ rng: new tsp.SeededRandom(seed), walk_count: 5, ant_count: 5 });
+  return JSON.stringify(new tsp.Harness().run_algorithm(graph, "pt_0", ants));
+}
+
+
+test("the same seed gives the same sequence, a different one doesn't", function() {
+  assert.deepStrictEqual(draws(new tsp.SeededRandom(42), 20), draws(new tsp.SeededRandom(42), 20));
+  assert.notDeepStrictEqual(draws(new tsp.SeededRandom(42), 20), draws(new tsp.SeededRandom(43), 20));
+  assert.deepStrictEqual(draws(new tsp.SeededRandom("42"), 5), draws(new tsp.SeededRandom(42), 5));
+});
+
+
+test("reset rewinds to the seed", function() {
+  var rng = new tsp.SeededRandom(7);
+  var first = draws(rng, 10);
+  rng.reset();
+  assert.deepStrictEqual(draws(rng, 10), first);
+});
+
+
+test("random stays in [0, 1) and random_int in [0, n)", function() {
+  var rng = new tsp.SeededRandom(3);
+  var seen = {};
+  _.times(2000, function() {
+    var value = rng.random();
+    assert.ok(value >= 0 && value < 1, value);
+
+    var int = rng.random_int(6);
+    assert.ok(int >= 0 && int < 6 && int === Math.floor(int), int);
+    seen[int] = true;
+  });
+  assert.deepStrictEqual(Object.keys(seen).sort(), ["0", "1", "2", "3", "4", "5"]);
+});
+
+
+test("without a seed one is picked and can be replayed", function() {
+  var rng = new tsp.SeededRandom();
+  assert.ok(rng.seed >= 0 && rng.seed < 4294967296);
+  assert.deepStrictEqual(draws(new tsp.SeededRandom(rng.seed), 5), draws(rng, 5));
+  assert.ok(!isNaN(new tsp.SeededRandom("nope").seed));
+});
+
+
+test("seed_from_query reads the seed parameter", function() {
+  assert.strictEqual(tsp.SeededRandom.seed_from_query("?seed=1234"), 1234);
+  assert.strictEqual(tsp.SeededRandom.seed_from_query("?algo=ants&seed=9"), 9);
+  assert.strictEqual(tsp.SeededRandom.seed_from_query("?algo=ants"), null);
+  assert.strictEqual(tsp.SeededRandom.seed_from_query(""), null);
+  assert.strictEqual(tsp.SeededRandom.seed_from_query(null), null);
+});
+
+
+test("a seed replays the same graph and the same ant tour", function() {
+  var build = function(seed) {
+    return new tsp.RandomGraphBuilder(new tsp.SeededRandom(seed), { num_points: 15 }).build_graph();
+  };
+  var graph = build(5);
+
+  assert.strictEqual(JSON.stringify(build(5)), JSON.stringify(graph));
+  assert.notStrictEqual(JSON.stringify(build(6)), JSON.stringify(graph));
+  assert.strictEqual(ant_plan(8, graph), ant_plan(8, graph));
+});
@@ -0,0 +1,71 @@
+/***
+* The errors we throw, so callers can tell a broken plan from a broken graph from a
+* broken salesman without parsing messages:
+*
+*   TspError                 anything that went wrong on our side of things
+*     InvalidPlanError       a plan breaks the rules; 'report' is its PlanValidator report
+*     GraphError             the graph itself is unusable (e.g. arcs to unknown points)
+*       NoPathError          there's no way to get from 'from_id' to 'to_id'
+*     SolverError            a salesman can't be run at all
+*
+*   try {
+*     harness.compute_plan_cost(graph, plan);
+*   } catch (e) {
+*     if (!(e instanceof InvalidPlanError)) throw e;
+*     _(e.report.violations).each(function(v) { console.log(v.message); });
+*   }
+*
+* e.message and e.stack work as usual, and they're instanceof Error next to the code
+* that threw them. Not from outside though: index.js runs us in a vm context, whose
+* Error isn't Node's, so from there ask is_tsp_error(e) (tsp.is_tsp_error) instead.
+**/
+function TspError(message) {
+  this.message = message;
+  this.stack = new Error(message).stack;
+}
+TspError.prototype = Object.create(Error.prototype);
+TspError.prototype.constructor = TspError;
+TspError.prototype.name = "TspError";
+
+
+function InvalidPlanError(message, report) {
+  TspError.call(this, message);
+  this.report = report;
+}
+InvalidPlanError.prototype = Object.create(TspError.prototype);
+InvalidPlanError.prototype.constructor = InvalidPlanError;
+InvalidPlanError.prototype.name = "InvalidPlanError";
+
+
+function GraphError(message) {
+  TspError.call(this, message);
+}
+GraphError.prototype = Object.create(TspError.prototype);
+GraphError.prototype.constructor = GraphError;
+GraphError.prototype.name = "GraphError";
+
+
+function NoPathError(message, from_id, to_id) {
+  GraphError.call(this, message);
+  this.from_id = from_id;
+  this.to_id = to_id;
+}
+NoPathError.prototype = Object.create(GraphError.prototype);
+NoPathError.prototype.constructor = NoPathError;
+NoPathError.prototype.name = "NoPathError";
+
+
+function SolverError(message) {
+  TspError.call(this, message);
+}
+SolverError.prototype = Object.create(TspError.prototype);
+SolverError.prototype.constructor = SolverError;
+SolverError.prototype.name = "SolverError";
+
+
+/**
+* Whether e is one of ours, whichever realm is asking
+**/
+function is_tsp_error(e) {
+  return e instanceof TspError;
+}